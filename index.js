@@ -28,7 +28,7 @@ console.log(_ts())
 // Initalise default value for env vars before other imports
 console.log('Configuring environment …')
 const {
-  EDDN_SERVER,
+  EDDN_SILENCE_TIMEOUT_SECONDS,
   EDDATA_BACKUP_LOG,
   EDDATA_DATABASE_STATS,
   EDDATA_COLLECTOR_LOCAL_PORT,
@@ -42,7 +42,10 @@ const {
   EDDATA_DOWNLOADS_DIR,
   MAINTENANCE_DAY_OF_WEEK,
   MAINTENANCE_WINDOW_START_HOUR,
-  MAINTENANCE_WINDOW_END_HOUR
+  MAINTENANCE_WINDOW_END_HOUR,
+  EDDATA_ARCHIVE_ENABLED,
+  EDDATA_SHUTDOWN_TIMEOUT_SECONDS,
+  JOURNAL_SCHEMA_REF
 } = require('./lib/consts')
 
 // In development this can be used to capture real-world payload examples
@@ -53,8 +56,6 @@ console.log('Loading dependancies …')
 const { exec } = require('child_process')
 const process = require('process')
 const fs = require('fs')
-const zmq = require('zeromq')
-const zlib = require('zlib')
 const cron = require('node-cron')
 const Koa = require('koa')
 const KoaRouter = require('@koa/router')
@@ -74,23 +75,25 @@ for (const dir of requiredDirectories) {
   }
 }
 
-console.log('Connecting to databases …')
-require('./lib/db')
-
 console.log('Loading libraries …')
 const startupMaintenance = require('./scripts/startup-maintenance')
-const commodityEvent = require('./lib/event-handlers/commodity-event')
-const discoveryScanEvent = require('./lib/event-handlers/discovery-scan-event')
-const navRouteEvent = require('./lib/event-handlers/navroute-event')
-const approachSettlementEvent = require('./lib/event-handlers/approach-settlement-event')
-const journalEvent = require('./lib/event-handlers/journal-event')
-const { closeAllDatabaseConnections, tradeDb } = require('./lib/db')
+const { spoolMessage, getSpoolSize, isSpoolDraining, drainSpool } = require('./lib/message-spool')
+const { archiveMessage, closeMessageArchive } = require('./lib/message-archive')
+const { startIngestWorkers, writePayload, flushWrites, vacuumDatabase, stopIngestWorkers, getIngestWorkersState, getRegisteredHandlers } = require('./lib/ingest-workers')
+const { startMessagePipeline, stopMessagePipeline, takeUnprocessedMessages, addMessage, waitForCapacity, waitForIdle, getPipelineState } = require('./lib/message-pipeline')
+const { runJob, stopBackgroundJobs, getRunningJobs } = require('./lib/background-jobs')
+const { getCounter, incrementCounter } = require('./lib/message-counters')
+const { isDuplicateMessage, getDedupCacheSize } = require('./lib/message-dedup')
+const { validatePayload } = require('./lib/payload-validator')
+const { saveDeadLetter, getDeadLetterCount } = require('./lib/dead-letters')
+const { startEddnSubscriber, stopEddnSubscriber, getEddnConnectionState } = require('./lib/eddn-subscriber')
+const { observeMessageReceived, countMessageProcessed, countMessageDropped, getMetrics } = require('./lib/metrics')
+const { countSoftwareMessage, countSoftwareOutcome, isSoftwareBlocked, closeSoftwareStats } = require('./lib/software-stats')
+const { isUploaderThrottled, getQuarantinedUploaderCount, closeUploaderThrottle } = require('./lib/uploader-throttle')
+const { checkpointAllDatabases, closeAllDatabaseConnections } = require('./lib/db')
 
 // Simple Node.js 24 optimizations inline
 const startTime = performance.now()
-const messageCache = new Set() // Simple Set for duplicate detection
-const MESSAGE_CACHE_MAX_SIZE = 50000 // Max entries before cleanup
-const MESSAGE_CACHE_CLEANUP_SIZE = 25000 // Remove this many oldest entries on cleanup
 let messageCount = 0
 
 // Maintenance status tracking
@@ -125,9 +128,15 @@ function getMemoryInfo () {
 // Mark application start
 performanceMark('app-start')
 
+// Set when the Collector has been told to stop (see shutdown() below)
+let shuttingDown = false
+
 // When this is set don't write events to the database
 let databaseWriteLocked = false
-function enableDatabaseWriteLock () { databaseWriteLocked = true }
+function enableDatabaseWriteLock () {
+  databaseWriteLocked = true
+  flushWrites() // Don't hold a transaction open while maintenance runs
+}
 function disableDatabaseWriteLock () { databaseWriteLocked = false }
 
 // A best effort approach try and keep seelct database files cached in RAM if
@@ -224,7 +233,7 @@ if (SAVE_PAYLOAD_EXAMPLES === true &&
     }
 
     // Run stats generation asynchronously (non-blocking)
-    exec('npm run stats', (error, stdout, stderr) => {
+    runJob('npm run stats', (error, stdout, stderr) => {
       if (error) {
         console.error('Manual stats generation failed:', error.message)
       } else {
@@ -242,6 +251,59 @@ if (SAVE_PAYLOAD_EXAMPLES === true &&
       uptime: Math.round((performance.now() - startTime) / 1000)
     }
 
+    // Connection to EDDN, reported as degraded if messages have stopped arriving
+    // (the subscriber will be trying to reconnect or fail over to another relay)
+    healthStatus.eddn = getEddnConnectionState()
+    const lastMessageAgeSeconds = healthStatus.eddn.lastMessageAgeSeconds ?? healthStatus.uptime
+    if (healthStatus.eddn.status !== 'connected' || lastMessageAgeSeconds > EDDN_SILENCE_TIMEOUT_SECONDS) {
+      healthStatus.status = 'degraded'
+    }
+
+    // Schemas (and journal events) that have handlers registered for them
+    const registeredHandlers = getRegisteredHandlers()
+    const journalEvents = Object.keys(registeredHandlers.journalEvents)
+    healthStatus.handlers = {
+      schemas: [...new Set([
+        ...Object.keys(registeredHandlers.schemas),
+        ...(journalEvents.length > 0 ? [JOURNAL_SCHEMA_REF] : [])
+      ])],
+      journalEvents
+    }
+
+    // Messages not written because the database already had more recent data
+    // (e.g. backlogs of old messages resent by uploaders), by schema
+    healthStatus.staleMessages = getCounter('stale')
+
+    // Messages ignored because the same message was received recently
+    healthStatus.duplicateMessages = getCounter('duplicate')
+
+    // Messages that failed schema validation, by schema and by software
+    healthStatus.rejectedMessages = getCounter('rejected')
+
+    // Messages an event handler failed to process, and how many of them are
+    // waiting to be retried
+    healthStatus.failedMessages = { ...getCounter('failed'), deadLetters: getDeadLetterCount() }
+
+    // Messages ignored because the software that sent them is blocked
+    healthStatus.blockedMessages = getCounter('blocked')
+
+    // Messages ignored because the uploader sent too many about the same
+    // market or system, or has been quarantined for doing so
+    healthStatus.throttledMessages = { ...getCounter('throttled'), quarantinedUploaders: getQuarantinedUploaderCount() }
+
+    // Messages being parsed or waiting to be handled, and the worker threads
+    // doing the parsing and writing
+    healthStatus.pipeline = { ...getPipelineState(), workers: getIngestWorkersState() }
+
+    // Messages waiting to be written after writing was suspended
+    const spooledMessages = getSpoolSize()
+    if (spooledMessages > 0) {
+      healthStatus.spool = {
+        messages: spooledMessages,
+        draining: isSpoolDraining()
+      }
+    }
+
     // Add maintenance status if running
     if (maintenanceRunning) {
       healthStatus.maintenance = {
@@ -250,20 +312,28 @@ if (SAVE_PAYLOAD_EXAMPLES === true &&
       }
     }
 
+    // Maintenance, backup and stats scripts running in the background
+    const runningJobs = getRunningJobs()
+    if (runningJobs.length > 0) healthStatus.jobs = runningJobs
+
+    if (shuttingDown) healthStatus.status = 'stopping'
+
     ctx.body = healthStatus
   })
 
+  // Prometheus metrics (see lib/metrics.js)
+  router.get('/metrics', async (ctx) => {
+    const { contentType, metrics } = await getMetrics()
+    ctx.set('Cache-Control', 'no-store')
+    ctx.type = contentType
+    ctx.body = metrics
+  })
+
   app.use(router.routes())
 
   app.listen(EDDATA_COLLECTOR_LOCAL_PORT)
   console.log('Web service online')
 
-  console.log(`Connecting to EDDN ${EDDN_SERVER}…`)
-  const socket = new zmq.Subscriber()
-  socket.connect(EDDN_SERVER)
-  socket.subscribe('')
-  console.log('Connected to EDDN')
-
   // Run startup maintenance asynchronously in the background (non-blocking)
   // This allows the collector to start processing messages immediately
   console.log('Starting background maintenance tasks (non-blocking)...')
@@ -285,7 +355,7 @@ if (SAVE_PAYLOAD_EXAMPLES === true &&
     console.log('No backup log found, creating backup now')
     enableDatabaseWriteLock()
 
-    exec('npm run backup', (error, stdout, stderr) => {
+    runJob('npm run backup', (error, stdout, stderr) => {
       if (error) console.error(error)
       disableDatabaseWriteLock()
     })
@@ -321,9 +391,9 @@ if (SAVE_PAYLOAD_EXAMPLES === true &&
   //
   // WHY WRITING TO THE DATABASE IS SUSPENDED DURING THE MAINTENANCE WINDOW
   //
-  // Both optimization and backup tasks impact writing to the database. Ideally
-  // requests could be buffered during that time, but if the game is offline
-  // then we don't need to worry about lost messages.
+  // Both optimization and backup tasks impact writing to the database, so any
+  // messages that arrive during that time are spooled to disk and processed
+  // once writing resumes (see lib/message-spool.js).
   //
   // As long as the server is fast enough and the number of writes is low if we
   // didn't explicitly block writing queries we could do this at any time, but
@@ -334,13 +404,13 @@ if (SAVE_PAYLOAD_EXAMPLES === true &&
     enableDatabaseWriteLock() // Disable writing to database during maintenance
     disableDatabaseCacheTrigger() // Disable cache trigger during maintenance
 
-    exec('npm run optimize', (error, stdout, stderr) => {
+    runJob('npm run optimize', (error, stdout, stderr) => {
       if (error) console.error(error)
 
       // The backup takes around 15 minutes to complete, with most of that
       // being down to the systems database (around 150 million entires). This
       // could be optimised but there isn't really a need to.
-      exec('npm run backup', (error, stdout, stderr) => {
+      runJob('npm run backup', (error, stdout, stderr) => {
         if (error) console.error(error)
 
         disableDatabaseWriteLock() // Mark database as open for writing again
@@ -348,7 +418,7 @@ if (SAVE_PAYLOAD_EXAMPLES === true &&
 
         // Commpress generated backups to make them avalible for download in the
         // background. This has fairly low CPU impact but can take a while.
-        exec('npm run backup:compress', (error, stdout, stderr) => {
+        runJob('npm run backup:compress', (error, stdout, stderr) => {
           if (error) console.error(error)
         })
       })
@@ -365,7 +435,7 @@ if (SAVE_PAYLOAD_EXAMPLES === true &&
     //
     // Fixed: Stats generation has been refactored to leverage new trade db schema
     // and exclude Fleet Carrier data properly
-    exec('npm run stats:commodity', (error, stdout, stderr) => {
+    runJob('npm run stats:commodity', (error, stdout, stderr) => {
       if (error) console.error(error)
     })
   })
@@ -374,7 +444,7 @@ if (SAVE_PAYLOAD_EXAMPLES === true &&
   // Snapshots are reused if still fresh (6h), so frequent runs don't increase DB load
   cron.schedule('0 * * * *', () => { // Every hour at :00
     console.log('Running hourly stats generation (using snapshots)...')
-    exec('npm run stats', (error, stdout, stderr) => {
+    runJob('npm run stats', (error, stdout, stderr) => {
       if (error) {
         console.error('Stats generation failed:', error.message)
       } else {
@@ -384,19 +454,24 @@ if (SAVE_PAYLOAD_EXAMPLES === true &&
   })
 
   // Weekly VACUUM of trade database to reclaim disk space after deleting old data
-  cron.schedule('0 3 * * 0', () => { // Every Sunday at 3 AM
+  // This runs on the writer thread, so the HTTP API stays responsive while it
+  // runs (new messages are spooled until it has finished)
+  cron.schedule('0 3 * * 0', async () => { // Every Sunday at 3 AM
     console.log('Starting weekly VACUUM of trade database...')
-    databaseWriteLocked = true
-    try {
-      console.time('VACUUM trade.db')
-      tradeDb.exec('VACUUM')
-      console.timeEnd('VACUUM trade.db')
+    enableDatabaseWriteLock()
+    // Let messages already in the pipeline be written first. Writes queued
+    // behind the VACUUM would wait for it to finish and be given up on by the
+    // pipeline (counted as timeouts) while the messages after them are spooled.
+    await waitForIdle()
+    console.time('VACUUM trade.db')
+    const { error } = await vacuumDatabase('tradeDb')
+    console.timeEnd('VACUUM trade.db')
+    if (error) {
+      console.error('Error during VACUUM:', error.message)
+    } else {
       console.log('Trade database VACUUM completed successfully')
-    } catch (error) {
-      console.error('Error during VACUUM:', error)
-    } finally {
-      databaseWriteLocked = false
     }
+    disableDatabaseWriteLock()
   })
 
   enableDatabaseCacheTrigger() // Enable cache trigger
@@ -407,147 +482,188 @@ if (SAVE_PAYLOAD_EXAMPLES === true &&
   // Enhanced message processing with Node.js 24 optimizations
   performanceMark('message-processing-start')
 
-  // Dead letter queue for buffering messages during DB locks
-  const messageBuffer = []
-  const MESSAGE_BUFFER_MAX_SIZE = 10000 // Max messages to buffer during DB lock
-  let processingBuffer = false
+  // Called with each payload (in the order the messages were received, for
+  // messages about the same market, body or system) with the hash and
+  // validation errors worked out by the parse worker. Returns a promise for
+  // the payload being written, if it is passed on to the writer.
+  function processPayload (payload, receivedAt, { hash, validationErrors } = {}) {
+    const schema = payload?.$schemaRef ?? 'SCHEMA_UNDEFINED'
+    observeMessageReceived(payload)
+    countSoftwareMessage(payload, receivedAt)
+
+    // Ignore messages that are not from the live version of the game
+    // i.e. At least version 4.0.0.0 -or- the version starts with 'CAPI-Live-'
+    // which indicates the data has come from the live API provided by FDev.
+    // This will mean we ignore some messages from software that is not
+    // behaving correctly but we can't trust data from old software anyway as
+    // it might be from someone running a legacy version of the game.
+    const gameMajorVersion = Number(payload?.header?.gameversion?.split('.')?.[0] ?? 0)
+    if (gameMajorVersion < 4 && !payload?.header?.gameversion?.startsWith('CAPI-Live-')) {
+      countMessageDropped('unsupported_game_version', schema)
+      return
+    }
 
-  // Helper function to process a single message
-  function processMessageData (message) {
-    const controller = new AbortController()
-    const timeoutId = setTimeout(() => controller.abort(), 5000) // 5 second timeout
+    // Ignore messages from software (or versions of software) that are known to
+    // send bad data, see EDDATA_SOFTWARE_BLOCKLIST
+    if (isSoftwareBlocked(payload)) {
+      incrementCounter('blocked', schema, payload?.header?.softwareName)
+      countSoftwareOutcome(payload, 'blocked', receivedAt)
+      return
+    }
 
-    zlib.inflate(message, (error, chunk) => {
-      clearTimeout(timeoutId)
-      if (error) return console.error(error)
-      if (controller.signal.aborted) return
+    // Ignore messages from uploaders sending too many messages about the same
+    // market, body or system (e.g. a client stuck resending the same market)
+    if (isUploaderThrottled(payload, receivedAt)) return
 
-      const payload = JSON.parse(chunk.toString('utf8'))
-      const schema = payload?.$schemaRef ?? 'SCHEMA_UNDEFINED'
+    // Ignore messages with the same content as one received recently (e.g. the
+    // same journal entry uploaded by more than one app)
+    if (isDuplicateMessage(payload, receivedAt, hash)) return
 
-      // Simple duplicate detection using Set
-      const cacheKey = `${schema}-${payload?.header?.gatewayTimestamp || payload?.header?.timestamp || Date.now()}`
-      if (messageCache.has(cacheKey)) {
-        return // Already processed recently
-      }
+    // Ignore messages that are missing fields the handlers need or have fields
+    // of the wrong type (a sample of them is kept in the collector database)
+    if (!validatePayload(payload, receivedAt, validationErrors)) {
+      countSoftwareOutcome(payload, 'rejected', receivedAt)
+      return
+    }
 
-      // Ignore messages that are not from the live version of the game
-      // i.e. At least version 4.0.0.0 -or- the version starts with 'CAPI-Live-'
-      // which indicates the data has come from the live API provided by FDev.
-      // This will mean we ignore some messages from software that is not
-      // behaving correctly but we can't trust data from old software anyway as
-      // it might be from someone running a legacy version of the game.
-      const gameMajorVersion = Number(payload?.header?.gameversion?.split('.')?.[0] ?? 0)
-      if (gameMajorVersion < 4 && !payload?.header?.gameversion?.startsWith('CAPI-Live-')) { return }
-
-      // Cache processed message to avoid duplicate processing
-      messageCache.add(cacheKey)
-
-      // Prevent memory leak: cleanup cache when it gets too large
-      if (messageCache.size > MESSAGE_CACHE_MAX_SIZE) {
-        const iterator = messageCache.values()
-        for (let i = 0; i < MESSAGE_CACHE_CLEANUP_SIZE; i++) {
-          messageCache.delete(iterator.next().value)
-        }
-        console.log(`Cache cleanup: reduced from ${MESSAGE_CACHE_MAX_SIZE} to ${messageCache.size} entries`)
-      }
+    // Performance tracking
+    messageCount++
+    if (messageCount % 1000 === 0) {
+      const duration = getPerformanceDuration('message-processing-start')
+      console.log(`Processed ${messageCount} messages in ${Math.round(duration)}ms (avg: ${Math.round(duration / messageCount)}ms/msg)`)
 
-      // Performance tracking
-      messageCount++
-      if (messageCount % 1000 === 0) {
-        const duration = getPerformanceDuration('message-processing-start')
-        console.log(`Processed ${messageCount} messages in ${Math.round(duration)}ms (avg: ${Math.round(duration / messageCount)}ms/msg)`)
+      // Clear performance entries to prevent memory buildup
+      performance.clearMarks()
+      performance.clearMeasures()
+      performanceMark('message-processing-start') // Re-mark for next batch
+    }
 
-        // Clear performance entries to prevent memory buildup
-        performance.clearMarks()
-        performance.clearMeasures()
-        performanceMark('message-processing-start') // Re-mark for next batch
-      }
+    // Keep a raw copy of every accepted message if archiving is enabled
+    if (EDDATA_ARCHIVE_ENABLED) archiveMessage(payload, receivedAt)
 
-      // If we don't have an example message and SAVE_PAYLOAD_EXAMPLES is true, save it
-      if (SAVE_PAYLOAD_EXAMPLES) {
-        if (schema === 'https://eddn.edcd.io/schemas/journal/1') {
-          // Journal entries are a special case (they represent different game events and are raw events, not synthetic)
-          if (!fs.existsSync(`${PAYLOAD_EXAMPLES_DIR}/journal_1/${payload.message.event.toLowerCase()}.json`)) {
-            fs.writeFileSync(`${PAYLOAD_EXAMPLES_DIR}/journal_1/${payload.message.event.toLowerCase()}.json`, JSON.stringify(payload, null, 2))
-          }
-        } else {
-          const schemaFileName = schema.replace('https://eddn.edcd.io/schemas/', '').replaceAll('/', '_')
-          if (!fs.existsSync(`${PAYLOAD_EXAMPLES_DIR}/${schemaFileName}.json`)) { fs.writeFileSync(`${PAYLOAD_EXAMPLES_DIR}/${schemaFileName}.json`, JSON.stringify(payload, null, 2)) }
+    // If we don't have an example message and SAVE_PAYLOAD_EXAMPLES is true, save it
+    if (SAVE_PAYLOAD_EXAMPLES) {
+      if (schema === JOURNAL_SCHEMA_REF) {
+        // Journal entries are a special case (they represent different game events and are raw events, not synthetic)
+        if (!fs.existsSync(`${PAYLOAD_EXAMPLES_DIR}/journal_1/${payload.message.event.toLowerCase()}.json`)) {
+          fs.writeFileSync(`${PAYLOAD_EXAMPLES_DIR}/journal_1/${payload.message.event.toLowerCase()}.json`, JSON.stringify(payload, null, 2))
         }
+      } else {
+        const schemaFileName = schema.replace('https://eddn.edcd.io/schemas/', '').replaceAll('/', '_')
+        if (!fs.existsSync(`${PAYLOAD_EXAMPLES_DIR}/${schemaFileName}.json`)) { fs.writeFileSync(`${PAYLOAD_EXAMPLES_DIR}/${schemaFileName}.json`, JSON.stringify(payload, null, 2)) }
       }
-      switch (schema) {
-        case 'https://eddn.edcd.io/schemas/commodity/3':
-          commodityEvent(payload)
-          break
-        case 'https://eddn.edcd.io/schemas/fssdiscoveryscan/1':
-          discoveryScanEvent(payload)
-          break
-        case 'https://eddn.edcd.io/schemas/navroute/1':
-          navRouteEvent(payload)
-          break
-        case 'https://eddn.edcd.io/schemas/approachsettlement/1':
-          approachSettlementEvent(payload)
-          break
-        case 'https://eddn.edcd.io/schemas/journal/1':
-          journalEvent(payload)
-          break
-      }
+    }
+    // All writes for a message are made by the writer thread in one transaction
+    // (see lib/write-batcher.js) so if a handler fails nothing is written and
+    // the payload is kept as a dead letter, to be retried with
+    // scripts/dead-letters.js once it has been fixed.
+    return writePayload(payload).then(({ error, cancelled }) => {
+      if (cancelled) return false // Spooled on shutdown, see shutdown()
+      if (!error) return countMessageProcessed(schema)
+      console.error(`Error in ${error.handlerName ?? 'event handler'} for ${schema} message:`, error.message)
+      saveDeadLetter(payload, error, receivedAt)
+      countSoftwareOutcome(payload, 'failed', receivedAt)
     })
   }
 
-  ;(async () => {
-    for await (const [message] of socket) {
-      if (databaseWriteLocked === true) {
-        // Buffer messages when DB is locked (e.g., during backup/stats)
-        // But limit buffer size to prevent memory exhaustion
-        if (messageBuffer.length < MESSAGE_BUFFER_MAX_SIZE) {
-          messageBuffer.push(message)
-        }
-        if (messageBuffer.length % 100 === 0) {
-          console.log(`Buffered ${messageBuffer.length} messages during DB lock`)
-        }
-        await new Promise(setImmediate)
-        continue
-      }
+  // Work through any spooled messages in the background, stopping if writing
+  // to the database is suspended again before the spool has been emptied.
+  function processSpooledMessages () {
+    if (databaseWriteLocked === true || isSpoolDraining() || getSpoolSize() === 0) return
+    drainSpool(
+      (message, receivedAt) => addMessage(message, receivedAt, { spooled: true }),
+      () => databaseWriteLocked === true || shuttingDown
+    )
+      .catch(error => console.error('Error processing spooled messages:', error.message))
+  }
 
-      // Process buffered messages first
-      if (messageBuffer.length > 0 && !processingBuffer) {
-        processingBuffer = true
-        console.log(`Processing ${messageBuffer.length} buffered messages...`)
-        for (const bufferedMessage of messageBuffer) {
-          try {
-            processMessageData(bufferedMessage)
-          } catch (error) {
-            console.error('Error processing buffered message:', error.message)
-          }
-        }
-        messageBuffer.length = 0 // Clear buffer
-        processingBuffer = false
-        console.log('Buffered messages processed')
-      }
+  // Messages are parsed in worker threads and passed to processPayload() in
+  // the order they were received for each market, body or system (see
+  // lib/message-pipeline.js), which passes them on to the writer thread
+  startIngestWorkers()
+  startMessagePipeline(processPayload)
 
-      // Process current message
-      try {
-        processMessageData(message)
-      } catch (error) {
-        console.error('Message processing error:', error.message)
-      }
+  // Pick up anything left in the spool from a previous run
+  processSpooledMessages()
+
+  startEddnSubscriber(async (message) => {
+    if (shuttingDown) return
+
+    // While writing is suspended - or while there is still a backlog from
+    // when it was - new messages go to the end of the spool on disk so that
+    // they are not lost if the process restarts and are processed in order.
+    if (databaseWriteLocked === true || getSpoolSize() > 0) {
+      spoolMessage(message)
+      processSpooledMessages()
+      return
     }
-  })()
+
+    // Don't read any more messages from EDDN until there is space for them
+    // in the pipeline, rather than queueing an unlimited number of them
+    await waitForCapacity()
+    addMessage(message)
+  })
 })() // Close the main IIFE
 
-process.on('SIGTERM', () => {
-  console.log('EDData Collector received SIGTERM signal')
-  closeAllDatabaseConnections()
-  process.exit(0)
-})
+// Stop in an orderly way, so nothing that has been received is lost:
+//
+// 1. Stop reading from EDDN (and from the spool)
+// 2. Wait for messages already received to be written, and for maintenance
+//    jobs running in the background to finish, for up to
+//    EDDATA_SHUTDOWN_TIMEOUT_SECONDS
+// 3. Spool any messages that have still not been written, to be processed
+//    when the Collector next starts
+// 4. Commit pending writes, checkpoint the write-ahead logs and close the
+//    databases
+//
+// A second signal while stopping exits immediately.
+async function shutdown (signal) {
+  if (shuttingDown) {
+    console.warn(`EDData Collector received ${signal} signal while stopping, exiting immediately`)
+    process.exit(1)
+  }
+  shuttingDown = true
+  console.log(`EDData Collector received ${signal} signal, stopping…`)
+  const timeoutInMs = EDDATA_SHUTDOWN_TIMEOUT_SECONDS * 1000
+
+  try {
+    stopEddnSubscriber()
+
+    const [pipelineIdle, unfinishedJobs] = await Promise.all([
+      waitForIdle(timeoutInMs),
+      stopBackgroundJobs(timeoutInMs)
+    ])
+    if (!pipelineIdle) console.warn('Timed out waiting for messages to be written')
+    for (const { command, pid } of unfinishedJobs) {
+      console.warn(`Timed out waiting for "${command}" (pid ${pid}), leaving it to finish on its own`)
+    }
+
+    // Messages already passed to the writer are written before it stops,
+    // unless that also times out
+    stopMessagePipeline()
+    await stopIngestWorkers(timeoutInMs)
+    await new Promise(setImmediate) // Let cancelled writes make their way back to the pipeline
+
+    // Messages that came from the spool are still in it
+    const messagesToSpool = takeUnprocessedMessages().filter(({ spooled }) => !spooled)
+    for (const { message, receivedAt } of messagesToSpool) spoolMessage(message, receivedAt)
+    if (messagesToSpool.length > 0) console.warn(`Spooled ${messagesToSpool.length} messages to be processed on next start`)
+
+    closeMessageArchive()
+    closeSoftwareStats()
+    closeUploaderThrottle()
+    checkpointAllDatabases()
+    closeAllDatabaseConnections()
+    console.log('EDData Collector stopped')
+    process.exit(0)
+  } catch (error) {
+    console.error('Error while stopping:', error)
+    process.exit(1)
+  }
+}
 
-process.on('SIGINT', () => {
-  console.log('EDData Collector received SIGINT signal')
-  closeAllDatabaseConnections()
-  process.exit(0)
-})
+process.on('SIGTERM', () => shutdown('SIGTERM'))
+process.on('SIGINT', () => shutdown('SIGINT'))
 
 process.on('uncaughtException', (e) => console.log('Uncaught exception:', e))
 
@@ -587,7 +703,12 @@ function printStats () {
       '\nNode.js 24 Performance:\n' +
       `* Runtime: ${uptime}s\n` +
       `* Memory Usage: ${memoryInfo.heapUsed}MB / ${memoryInfo.heapTotal}MB\n` +
-      `* Cache Size: ${messageCache.size} items\n` +
+      `* Cache Size: ${getDedupCacheSize()} items\n` +
+      `* Spooled Messages: ${getSpoolSize()}\n` +
+      `* Stale Messages: ${getCounter('stale').total}\n` +
+      `* Duplicate Messages: ${getCounter('duplicate').total}\n` +
+      `* Rejected Messages: ${getCounter('rejected').total}\n` +
+      `* Failed Messages: ${getCounter('failed').total} (${getDeadLetterCount()} dead letters)\n` +
       `* Messages Processed: ${messageCount}\n` +
       `* Node.js: ${process.version}`
   } catch (e) {
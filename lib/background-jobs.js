@@ -0,0 +1,60 @@
+const { exec } = require('child_process')
+
+// Maintenance, backup and stats scripts are run as child processes. They are
+// tracked so that when the Collector is stopped it can wait for them to finish,
+// rather than exiting part way through a chain of tasks (e.g. the backup that
+// follows an optimization run) with writing still suspended.
+//
+// No new jobs are started once stopping, and jobs still running when the wait
+// times out are left to finish on their own (as they are separate processes
+// they are not affected by the Collector exiting).
+const runningJobs = new Map()
+let stopping = false
+
+// Run a command in the same way as child_process.exec()
+function runJob (command, callback = () => {}) {
+  if (stopping) {
+    console.log(`Not starting "${command}" as the Collector is stopping`)
+    return null
+  }
+
+  let finished
+  const job = { command, startedAt: Date.now(), finished: new Promise(resolve => { finished = resolve }) }
+  const child = exec(command, (error, stdout, stderr) => {
+    runningJobs.delete(child)
+    try {
+      callback(error, stdout, stderr)
+    } finally {
+      finished()
+    }
+  })
+  runningJobs.set(child, job)
+  return child
+}
+
+// Stop starting new jobs and wait for the running ones to finish. Resolves
+// with the jobs that were still running when the timeout was reached.
+async function stopBackgroundJobs (timeoutInMs) {
+  stopping = true
+  if (runningJobs.size === 0) return []
+
+  console.log(`Waiting for ${runningJobs.size} background job(s) to finish: ${[...runningJobs.values()].map(({ command }) => command).join(', ')}`)
+  let timeoutId
+  await Promise.race([
+    Promise.all([...runningJobs.values()].map(({ finished }) => finished)),
+    new Promise(resolve => { timeoutId = setTimeout(resolve, timeoutInMs) })
+  ])
+  clearTimeout(timeoutId)
+
+  return [...runningJobs.entries()].map(([child, { command, startedAt }]) => ({ command, pid: child.pid, startedAt }))
+}
+
+function getRunningJobs () {
+  return [...runningJobs.values()].map(({ command, startedAt }) => ({ command, startedAt: new Date(startedAt).toISOString() }))
+}
+
+module.exports = {
+  runJob,
+  stopBackgroundJobs,
+  getRunningJobs
+}
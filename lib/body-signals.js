@@ -0,0 +1,51 @@
+const { bodiesDb } = require('./db')
+const { getNearbySystemSectors } = require('./system-sectors')
+const arrayOfGenuses = require('./data/genuses.json')
+
+const genusNames = {}
+arrayOfGenuses.forEach(({ symbol, name }) => { genusNames[symbol.toLowerCase()] = name })
+
+// Genuses are sent as symbols (e.g. '$Codex_Ent_Bacterial_Genus_Name;'), use
+// the name players know them by (e.g. 'Bacterium') where we have it, so they
+// can be searched for by name. Unknown genuses (e.g. ones added to the game
+// since) are named after their symbol instead.
+function getGenusName (genusSymbol) {
+  return genusNames[genusSymbol.toLowerCase()] ?? genusSymbol
+    .replace(/^\$Codex_Ent_/i, '')
+    .replace(/(_Genus)?_Name;$/i, '')
+    .replaceAll('_', ' ')
+}
+
+// Signal types are sent as symbols for signals on planets (e.g.
+// '$SAA_SignalType_Biological;' is 'Biological') and as the name of the
+// mineral for signals in rings (e.g. 'Platinum')
+function getSignalType (signalTypeSymbol) {
+  return signalTypeSymbol
+    .replace(/^\$SAA_SignalType_/i, '')
+    .replace(/;$/, '')
+}
+
+// Find bodies where a genus (by name, e.g. 'Stratum') has been found within a
+// distance (in light years) of a point, closest first. Systems are looked up
+// by sector first, so only nearby sectors are searched.
+function findNearbyBodiesWithGenus ({ genus, x, y, z, distance = 100, limit = 100 }) {
+  const nearbySectors = getNearbySystemSectors(x, y, z, distance)
+  return bodiesDb.prepare(`
+    SELECT g.systemAddress, g.systemName, g.systemX, g.systemY, g.systemZ,
+      g.bodyId, g.bodyName, g.genus, s.count AS biologicalSignals, g.updatedAt,
+      SQRT(POWER(g.systemX-@x,2)+POWER(g.systemY-@y,2)+POWER(g.systemZ-@z,2)) AS distance
+    FROM body_genuses g
+    LEFT JOIN body_signals s ON s.systemAddress = g.systemAddress AND s.bodyId = g.bodyId AND s.signalType = 'Biological'
+    WHERE g.genus = @genus
+    AND g.systemSector IN (${nearbySectors.map(() => '?').join(', ')})
+    AND SQRT(POWER(g.systemX-@x,2)+POWER(g.systemY-@y,2)+POWER(g.systemZ-@z,2)) < @distance
+    ORDER BY distance ASC
+    LIMIT @limit
+  `).all(nearbySectors, { genus, x, y, z, distance, limit })
+}
+
+module.exports = {
+  getGenusName,
+  getSignalType,
+  findNearbyBodiesWithGenus
+}
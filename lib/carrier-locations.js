@@ -0,0 +1,67 @@
+const { stationsDb } = require('./db')
+const { upsert } = require('./sql-helper')
+const { getStationServices } = require('./station-services')
+const { getEventTimestamp } = require('./event-timestamp')
+
+const selectLastCarrierLocation = stationsDb.prepare(`
+  SELECT systemAddress, arrivedAt FROM carrier_locations WHERE marketId = @marketId ORDER BY arrivedAt DESC LIMIT 1
+`)
+
+// Fleet Carriers are identified by their callsign (e.g. 'K7G-14G'), which is
+// sent as the station name
+function isFleetCarrier (stationName) {
+  return /^[A-Z0-9]{3}-[A-Z0-9]{3}$/.test(stationName ?? '')
+}
+
+// Update the location and services of the Fleet Carrier a player is docked at
+// from a journal event that has them (e.g. CarrierJump), and add the location
+// to its history if it has moved. Returns the result of updating the station,
+// which has `changes` set to 0 if the station has been updated since.
+function updateCarrierLocation (payload) {
+  const { message } = payload
+  const carrierData = {
+    marketId: message.MarketID,
+    stationName: message.StationName,
+    stationType: 'FleetCarrier',
+    ...(message.StationServices ? getStationServices(message.StationServices) : {}),
+    systemAddress: message.SystemAddress,
+    systemName: message.StarSystem,
+    systemX: message.StarPos?.[0] ?? null,
+    systemY: message.StarPos?.[1] ?? null,
+    systemZ: message.StarPos?.[2] ?? null,
+    bodyId: message.BodyID,
+    bodyName: message.Body,
+    updatedAt: getEventTimestamp(payload)
+  }
+
+  const result = upsert(stationsDb, 'stations', carrierData, ['marketId'], { onlyIfNewer: 'updatedAt' })
+  if (result.changes > 0) addCarrierLocation(carrierData)
+  return result
+}
+
+// Add a location to the history of a carrier, unless it is the system it was
+// last seen in (e.g. if other players aboard have already reported the jump)
+function addCarrierLocation ({ marketId, stationName, systemAddress, systemName, systemX, systemY, systemZ, bodyId, bodyName, updatedAt }) {
+  const lastLocation = selectLastCarrierLocation.get({ marketId })
+  if (lastLocation && (lastLocation.systemAddress === systemAddress || lastLocation.arrivedAt > updatedAt)) return
+
+  const locationData = {
+    marketId,
+    stationName,
+    systemAddress,
+    systemName,
+    systemX,
+    systemY,
+    systemZ,
+    bodyId,
+    bodyName,
+    arrivedAt: updatedAt
+  }
+  upsert(stationsDb, 'carrier_locations', locationData, ['marketId', 'arrivedAt'])
+}
+
+module.exports = {
+  isFleetCarrier,
+  updateCarrierLocation,
+  addCarrierLocation
+}
@@ -1,5 +1,6 @@
 const path = require('path')
 const fs = require('fs')
+const os = require('os')
 
 // Valid config file locations
 const EDDATA_CONFIG_LOCATIONS = [
@@ -17,7 +18,14 @@ const EDDATA_DOMAIN = process.env?.EDDATA_DOMAIN ?? 'eddata.api.com'
 
 const EDDATA_DOWNLOADS_BASE_URL = process.env?.EDDATA_DOWNLOADS_BASE_URL ?? `https://downloads.${EDDATA_DOMAIN}`
 
+// EDDN_SERVER may be a comma separated list of relays to fail over between if
+// no messages are received from one for EDDN_SILENCE_TIMEOUT_SECONDS
 const EDDN_SERVER = process.env?.EDDN_SERVER ?? 'tcp://eddn.edcd.io:9500'
+const EDDN_SERVERS = EDDN_SERVER.split(',').map(server => server.trim()).filter(Boolean)
+const EDDN_SILENCE_TIMEOUT_SECONDS = parseInt(process.env?.EDDN_SILENCE_TIMEOUT_SECONDS ?? 120)
+
+// Journal messages are handled by event name as well as by schema
+const JOURNAL_SCHEMA_REF = 'https://eddn.edcd.io/schemas/journal/1'
 
 const EDDATA_COLLECTOR_LOCAL_PORT = process.env?.EDDATA_COLLECTOR_LOCAL_PORT ?? 3002
 const EDDATA_COLLECTOR_DEFAULT_CACHE_CONTROL = `public, max-age=${60 * 15}, stale-while-revalidate=${60 * 60}, stale-if-error=${60 * 60}`
@@ -50,14 +58,26 @@ const EDDATA_SYSTEMS_DB = path.join(EDDATA_DATA_DIR, 'systems.db')
 const EDDATA_LOCATIONS_DB = path.join(EDDATA_DATA_DIR, 'locations.db')
 const EDDATA_STATIONS_DB = path.join(EDDATA_DATA_DIR, 'stations.db')
 const EDDATA_TRADE_DB = path.join(EDDATA_DATA_DIR, 'trade.db')
+const EDDATA_OUTFITTING_DB = path.join(EDDATA_DATA_DIR, 'outfitting.db')
+const EDDATA_SHIPYARD_DB = path.join(EDDATA_DATA_DIR, 'shipyard.db')
+const EDDATA_BODIES_DB = path.join(EDDATA_DATA_DIR, 'bodies.db')
+const EDDATA_FACTIONS_DB = path.join(EDDATA_DATA_DIR, 'factions.db')
+const EDDATA_COLLECTOR_DB = path.join(EDDATA_DATA_DIR, 'collector.db')
+
+// Optional directory of additional event handler modules (e.g. for schemas the
+// Collector does not handle itself), see lib/event-handlers/index.js
+const EDDATA_PLUGINS_DIR = process.env?.EDDATA_PLUGINS_DIR ?? null
 
 // Data in the Systems DB assumes these values and needs rebuilding if changes
 const SYSTEM_GRID_SIZE = 100 // In light years
 const SYSTEM_SECTOR_HASH_LENGTH = 8 // Enough to minimise sector ID collisions
 
 const TRADE_DATA_MAX_AGE_DAYS = 30
+const OUTFITTING_DATA_MAX_AGE_DAYS = 30
+const SHIPYARD_DATA_MAX_AGE_DAYS = 30
 const RESCUE_SHIP_MAX_AGE_DAYS = 7
 const FLEET_CARRIER_MAX_AGE_DAYS = 90
+const FACTION_INFLUENCE_MAX_AGE_DAYS = 365
 
 // Automatic maintenance starts at 7 AM UTC on Thursdays, which is aligned with
 // the weekly maintenance window for the game itself. It takes around an hour
@@ -76,6 +96,110 @@ const MAINTENANCE_DAY_OF_WEEK = 4 // 4 is Thursdays
 const MAINTENANCE_WINDOW_START_HOUR = 7 // Starts at 7 AM UTC
 const MAINTENANCE_WINDOW_END_HOUR = 9 // Ends at 9 AM UTC
 
+// Messages that arrive while writing is suspended (e.g. during the maintenance
+// window) are spooled to disk in the collector database and processed in order
+// once writing resumes. The limit stops the spool filling the disk if writing
+// stays suspended for a very long time; at ~1 KB per compressed message the
+// default allows for roughly 1 GB of spooled messages.
+const EDDATA_SPOOL_MAX_MESSAGES = parseInt(process.env?.EDDATA_SPOOL_MAX_MESSAGES ?? 1000000)
+
+// Every message is written to the databases in a single transaction. Writes for
+// all messages received within EDDATA_WRITE_BATCH_WINDOW_MS (or until
+// EDDATA_WRITE_BATCH_MAX_MESSAGES have been received) can also be grouped into
+// one transaction to further reduce disk writes when busy. Batching across
+// messages is disabled when the window is 0. A message only counts as written
+// (and is only removed from the spool) once its batch has been committed, so
+// the next message about the same market, body or system can wait up to the
+// window; keep it well below EDDATA_PIPELINE_TIMEOUT_MS.
+const EDDATA_WRITE_BATCH_WINDOW_MS = parseInt(process.env?.EDDATA_WRITE_BATCH_WINDOW_MS ?? 0)
+const EDDATA_WRITE_BATCH_MAX_MESSAGES = parseInt(process.env?.EDDATA_WRITE_BATCH_MAX_MESSAGES ?? 500)
+
+// Incoming messages are inflated, parsed and validated by a pool of worker
+// threads, leaving a core free for the main thread and one for the writer
+// thread where possible
+const EDDATA_PARSE_WORKERS = parseInt(process.env?.EDDATA_PARSE_WORKERS ?? Math.max(1, Math.min(4, os.availableParallelism() - 2)))
+
+// Up to EDDATA_PIPELINE_CONCURRENCY messages are sent to the parse workers at a
+// time and messages about the same market, body or system are handled in the
+// order they were received. Once EDDATA_PIPELINE_MAX_MESSAGES are waiting to
+// be handled no more are read from EDDN until there is space. Messages that
+// take longer than EDDATA_PIPELINE_TIMEOUT_MS to parse and write are dropped.
+const EDDATA_PIPELINE_CONCURRENCY = parseInt(process.env?.EDDATA_PIPELINE_CONCURRENCY ?? EDDATA_PARSE_WORKERS * 2)
+const EDDATA_PIPELINE_MAX_MESSAGES = parseInt(process.env?.EDDATA_PIPELINE_MAX_MESSAGES ?? 1000)
+const EDDATA_PIPELINE_TIMEOUT_MS = parseInt(process.env?.EDDATA_PIPELINE_TIMEOUT_MS ?? 5000)
+
+// Optionally keep a raw archive of every accepted EDDN message as compressed
+// NDJSON files, rotated hourly or daily. Useful for debugging bad data after
+// the fact and for rebuilding databases by replaying messages. Files older
+// than EDDATA_ARCHIVE_MAX_AGE_DAYS are deleted, as are the oldest files if the
+// archive grows beyond EDDATA_ARCHIVE_MAX_SIZE_MB (0 disables either limit).
+const EDDATA_ARCHIVE_ENABLED = process.env?.EDDATA_ARCHIVE_ENABLED === 'true'
+const EDDATA_ARCHIVE_DIR = process.env?.EDDATA_ARCHIVE_DIR ?? path.join(EDDATA_DATA_DIR, 'archive')
+const EDDATA_ARCHIVE_ROTATION = process.env?.EDDATA_ARCHIVE_ROTATION === 'hourly' ? 'hourly' : 'daily'
+const EDDATA_ARCHIVE_MAX_AGE_DAYS = parseInt(process.env?.EDDATA_ARCHIVE_MAX_AGE_DAYS ?? 14)
+const EDDATA_ARCHIVE_MAX_SIZE_MB = parseInt(process.env?.EDDATA_ARCHIVE_MAX_SIZE_MB ?? 0)
+
+// Messages with the same content as one received within the last
+// EDDATA_DEDUP_WINDOW_SECONDS are ignored (e.g. the same journal entry uploaded
+// by two different apps). The window can be set per schema with a comma
+// separated list, e.g. "commodity/3=60,navroute/1=3600" (0 disables duplicate
+// detection for a schema). At most EDDATA_DEDUP_MAX_ENTRIES recent messages are
+// remembered, the least recently seen are forgotten first.
+const EDDATA_DEDUP_WINDOW_SECONDS = parseInt(process.env?.EDDATA_DEDUP_WINDOW_SECONDS ?? 300)
+const EDDATA_DEDUP_SCHEMA_WINDOWS = process.env?.EDDATA_DEDUP_SCHEMA_WINDOWS ?? ''
+const EDDATA_DEDUP_MAX_ENTRIES = parseInt(process.env?.EDDATA_DEDUP_MAX_ENTRIES ?? 50000)
+
+// Payloads that fail validation against the bundled JSON Schemas (lib/schemas)
+// are not written to the databases. The most recent rejected payloads for each
+// schema are kept in the collector database so they can be inspected.
+const EDDATA_REJECTED_SAMPLES_PER_SCHEMA = parseInt(process.env?.EDDATA_REJECTED_SAMPLES_PER_SCHEMA ?? 100)
+
+// Payloads that cause an event handler to throw an error are kept in the
+// collector database as dead letters, so they can be retried after the handler
+// has been fixed (see scripts/dead-letters.js). Once the limit is reached new
+// failures are only logged, so a broken handler can not fill the disk.
+const EDDATA_DEAD_LETTERS_MAX = parseInt(process.env?.EDDATA_DEAD_LETTERS_MAX ?? 100000)
+
+// Messages from software known to send bad data are ignored. A comma separated
+// list of software names, optionally with a version after an @, which may end
+// with * to match all versions starting with what comes before it, e.g.
+// "Some Tool,Other Tool@1.2.3,Third Tool@2.*"
+const EDDATA_SOFTWARE_BLOCKLIST = process.env?.EDDATA_SOFTWARE_BLOCKLIST ?? ''
+const EDDATA_SOFTWARE_STATS = path.join(EDDATA_CACHE_DIR, 'software-stats.json')
+
+// Each uploader may send up to EDDATA_THROTTLE_MAX_MESSAGES messages of each
+// schema about the same market (or, for journal events, the same event for the
+// same body or system) within EDDATA_THROTTLE_WINDOW_SECONDS, further messages
+// are ignored (0 disables throttling). Uploaders throttled EDDATA_THROTTLE_QUARANTINE_THRESHOLD times
+// within the window have all their messages ignored for
+// EDDATA_THROTTLE_QUARANTINE_SECONDS (0 disables this).
+const EDDATA_THROTTLE_WINDOW_SECONDS = parseInt(process.env?.EDDATA_THROTTLE_WINDOW_SECONDS ?? 60)
+const EDDATA_THROTTLE_MAX_MESSAGES = parseInt(process.env?.EDDATA_THROTTLE_MAX_MESSAGES ?? 10)
+const EDDATA_THROTTLE_QUARANTINE_THRESHOLD = parseInt(process.env?.EDDATA_THROTTLE_QUARANTINE_THRESHOLD ?? 100)
+const EDDATA_THROTTLE_QUARANTINE_SECONDS = parseInt(process.env?.EDDATA_THROTTLE_QUARANTINE_SECONDS ?? 3600)
+const EDDATA_THROTTLED_SOURCES = path.join(EDDATA_CACHE_DIR, 'throttled-sources.json')
+
+// The mining hotspots report lists the best overlapping ring hotspots within
+// EDDATA_MINING_HUB_DISTANCE light years of each of the systems in
+// EDDATA_MINING_HUBS (a comma separated list of system names), with the best
+// price the mined commodities sell for within the same distance.
+const EDDATA_MINING_HUBS = process.env?.EDDATA_MINING_HUBS ?? 'Sol,Shinrarta Dezhra,Colonia'
+const EDDATA_MINING_HUB_DISTANCE = parseInt(process.env?.EDDATA_MINING_HUB_DISTANCE ?? 100)
+const EDDATA_MINING_HOTSPOTS = path.join(EDDATA_CACHE_DIR, 'mining-hotspots.json')
+
+// The faction reports list the systems each of the factions in
+// EDDATA_FACTION_REPORT_FACTIONS (a comma separated list of faction names) is
+// present in, with their influence over the last EDDATA_FACTION_REPORT_DAYS.
+const EDDATA_FACTION_REPORT_FACTIONS = process.env?.EDDATA_FACTION_REPORT_FACTIONS ?? ''
+const EDDATA_FACTION_REPORT_DAYS = parseInt(process.env?.EDDATA_FACTION_REPORT_DAYS ?? 30)
+const EDDATA_FACTION_REPORTS = path.join(EDDATA_CACHE_DIR, 'faction-reports.json')
+
+// When stopped, the Collector waits up to this long for messages already
+// received to be written (spooling any that are not) and for running
+// maintenance jobs to finish, before closing the databases and exiting. Process
+// managers should allow a little longer than this before killing the process.
+const EDDATA_SHUTDOWN_TIMEOUT_SECONDS = parseInt(process.env?.EDDATA_SHUTDOWN_TIMEOUT_SECONDS ?? 30)
+
 // Performance: Skip startup maintenance for faster restarts when cache is fresh
 // Set to 'true' to completely skip integrity checks and stats generation on startup
 const SKIP_STARTUP_MAINTENANCE = process.env?.SKIP_STARTUP_MAINTENANCE === 'true'
@@ -100,6 +224,9 @@ const SKIP_TRADE_DB_SNAPSHOTS = process.env?.SKIP_TRADE_DB_SNAPSHOTS === 'true'
 
 module.exports = {
   EDDN_SERVER,
+  EDDN_SERVERS,
+  EDDN_SILENCE_TIMEOUT_SECONDS,
+  JOURNAL_SCHEMA_REF,
   EDDATA_COLLECTOR_LOCAL_PORT,
   EDDATA_COLLECTOR_DEFAULT_CACHE_CONTROL,
   EDDATA_DATA_DIR,
@@ -113,14 +240,54 @@ module.exports = {
   EDDATA_LOCATIONS_DB,
   EDDATA_STATIONS_DB,
   EDDATA_TRADE_DB,
+  EDDATA_OUTFITTING_DB,
+  EDDATA_SHIPYARD_DB,
+  EDDATA_BODIES_DB,
+  EDDATA_FACTIONS_DB,
+  EDDATA_COLLECTOR_DB,
+  EDDATA_PLUGINS_DIR,
   SYSTEM_GRID_SIZE,
   SYSTEM_SECTOR_HASH_LENGTH,
   TRADE_DATA_MAX_AGE_DAYS,
+  OUTFITTING_DATA_MAX_AGE_DAYS,
+  SHIPYARD_DATA_MAX_AGE_DAYS,
   RESCUE_SHIP_MAX_AGE_DAYS,
   MAINTENANCE_DAY_OF_WEEK,
   MAINTENANCE_WINDOW_START_HOUR,
   MAINTENANCE_WINDOW_END_HOUR,
   FLEET_CARRIER_MAX_AGE_DAYS,
+  FACTION_INFLUENCE_MAX_AGE_DAYS,
+  EDDATA_SPOOL_MAX_MESSAGES,
+  EDDATA_WRITE_BATCH_WINDOW_MS,
+  EDDATA_WRITE_BATCH_MAX_MESSAGES,
+  EDDATA_PARSE_WORKERS,
+  EDDATA_PIPELINE_CONCURRENCY,
+  EDDATA_PIPELINE_MAX_MESSAGES,
+  EDDATA_PIPELINE_TIMEOUT_MS,
+  EDDATA_ARCHIVE_ENABLED,
+  EDDATA_ARCHIVE_DIR,
+  EDDATA_ARCHIVE_ROTATION,
+  EDDATA_ARCHIVE_MAX_AGE_DAYS,
+  EDDATA_ARCHIVE_MAX_SIZE_MB,
+  EDDATA_DEDUP_WINDOW_SECONDS,
+  EDDATA_DEDUP_SCHEMA_WINDOWS,
+  EDDATA_DEDUP_MAX_ENTRIES,
+  EDDATA_REJECTED_SAMPLES_PER_SCHEMA,
+  EDDATA_DEAD_LETTERS_MAX,
+  EDDATA_SOFTWARE_BLOCKLIST,
+  EDDATA_SOFTWARE_STATS,
+  EDDATA_THROTTLE_WINDOW_SECONDS,
+  EDDATA_THROTTLE_MAX_MESSAGES,
+  EDDATA_THROTTLE_QUARANTINE_THRESHOLD,
+  EDDATA_THROTTLE_QUARANTINE_SECONDS,
+  EDDATA_THROTTLED_SOURCES,
+  EDDATA_MINING_HUBS,
+  EDDATA_MINING_HUB_DISTANCE,
+  EDDATA_MINING_HOTSPOTS,
+  EDDATA_FACTION_REPORT_FACTIONS,
+  EDDATA_FACTION_REPORT_DAYS,
+  EDDATA_FACTION_REPORTS,
+  EDDATA_SHUTDOWN_TIMEOUT_SECONDS,
   SKIP_STARTUP_MAINTENANCE,
   SKIP_REGIONAL_COMMODITY_REPORTS,
   SKIP_EXPENSIVE_INDEXES,
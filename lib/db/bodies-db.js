@@ -0,0 +1,143 @@
+const path = require('path')
+const fs = require('fs')
+const SqlLiteDatabase = require('better-sqlite3')
+const { EDDATA_BODIES_DB } = require('../consts')
+
+let database = null
+
+function getDatabase (options = {}) {
+  if (!database) {
+    // Ensure directory exists before creating database
+    const dbDir = path.dirname(EDDATA_BODIES_DB)
+    if (!fs.existsSync(dbDir)) {
+      fs.mkdirSync(dbDir, { recursive: true })
+    }
+    database = new SqlLiteDatabase(EDDATA_BODIES_DB, options)
+  }
+  return database
+}
+
+function getDatabaseName () {
+  return path.basename(EDDATA_BODIES_DB)
+}
+
+function ensureTables () {
+  // Stars and planets from journal Scan events. bodyId is only unique within
+  // a system. Lists (e.g. rings and materials) are stored as JSON.
+  getDatabase().exec(`
+    CREATE TABLE IF NOT EXISTS bodies (
+      systemAddress INT,
+      bodyId INT,
+      bodyName TEXT COLLATE NOCASE,
+      bodyType TEXT,
+      systemName TEXT COLLATE NOCASE,
+      systemX REAL,
+      systemY REAL,
+      systemZ REAL,
+      distanceToArrival REAL,
+      parents TEXT,
+      starType TEXT,
+      subclass INT,
+      luminosity TEXT,
+      stellarMass REAL,
+      absoluteMagnitude REAL,
+      ageMillionYears INT,
+      planetClass TEXT,
+      landable INT,
+      terraformState TEXT,
+      atmosphere TEXT,
+      atmosphereType TEXT,
+      atmosphereComposition TEXT,
+      volcanism TEXT,
+      massEM REAL,
+      radius REAL,
+      surfaceGravity REAL,
+      surfaceTemperature REAL,
+      surfacePressure REAL,
+      composition TEXT,
+      materials TEXT,
+      rings TEXT,
+      reserveLevel TEXT,
+      semiMajorAxis REAL,
+      eccentricity REAL,
+      orbitalInclination REAL,
+      orbitalPeriod REAL,
+      rotationPeriod REAL,
+      axialTilt REAL,
+      tidalLock INT,
+      wasDiscovered INT,
+      wasMapped INT,
+      updatedAt TEXT,
+      PRIMARY KEY(systemAddress, bodyId)
+    )
+  `)
+
+  // Signals and genuses found on bodies by surface scans (journal
+  // SAASignalsFound events). signalType is e.g. 'Biological' or 'Geological'
+  // (or the mineral, for rings) and genus is the name of the genus (e.g.
+  // 'Stratum'). The location of the system is kept with each genus so they
+  // can be found by sector without needing a Scan of the body.
+  getDatabase().exec(`
+    CREATE TABLE IF NOT EXISTS body_signals (
+      systemAddress INT,
+      bodyId INT,
+      signalType TEXT COLLATE NOCASE,
+      count INT,
+      updatedAt TEXT,
+      PRIMARY KEY(systemAddress, bodyId, signalType)
+    )
+  `)
+  getDatabase().exec(`
+    CREATE TABLE IF NOT EXISTS body_genuses (
+      systemAddress INT,
+      bodyId INT,
+      genus TEXT COLLATE NOCASE,
+      genusSymbol TEXT,
+      bodyName TEXT COLLATE NOCASE,
+      systemName TEXT COLLATE NOCASE,
+      systemX REAL,
+      systemY REAL,
+      systemZ REAL,
+      systemSector TEXT,
+      updatedAt TEXT,
+      PRIMARY KEY(systemAddress, bodyId, genus)
+    )
+  `)
+
+  // Mining hotspots in planetary rings (from SAASignalsFound events for rings),
+  // by the name of the commodity as in trade.db (e.g. 'lowtemperaturediamond').
+  // A count of more than 1 means there are overlapping hotspots in the ring.
+  getDatabase().exec(`
+    CREATE TABLE IF NOT EXISTS ring_hotspots (
+      systemAddress INT,
+      bodyId INT,
+      commodityName TEXT,
+      count INT,
+      ringName TEXT COLLATE NOCASE,
+      systemName TEXT COLLATE NOCASE,
+      systemX REAL,
+      systemY REAL,
+      systemZ REAL,
+      systemSector TEXT,
+      updatedAt TEXT,
+      PRIMARY KEY(systemAddress, bodyId, commodityName)
+    )
+  `)
+}
+
+function ensureIndexes () {
+  getDatabase().exec('CREATE INDEX IF NOT EXISTS bodies_bodyName_collate ON bodies (bodyName COLLATE NOCASE)')
+  getDatabase().exec('CREATE INDEX IF NOT EXISTS bodies_systemName_collate ON bodies (systemName COLLATE NOCASE)')
+  getDatabase().exec('CREATE INDEX IF NOT EXISTS bodies_planetClass ON bodies (planetClass)')
+  getDatabase().exec('CREATE INDEX IF NOT EXISTS bodies_starType ON bodies (starType)')
+  getDatabase().exec('CREATE INDEX IF NOT EXISTS body_signals_signalType ON body_signals (signalType)')
+  getDatabase().exec('CREATE INDEX IF NOT EXISTS body_genuses_genus_systemSector ON body_genuses (genus, systemSector)')
+  getDatabase().exec('CREATE INDEX IF NOT EXISTS ring_hotspots_commodityName_systemSector ON ring_hotspots (commodityName, systemSector)')
+}
+
+module.exports = {
+  getDatabase,
+  getDatabaseName,
+  ensureTables,
+  ensureIndexes
+}
@@ -0,0 +1,120 @@
+const path = require('path')
+const fs = require('fs')
+const SqlLiteDatabase = require('better-sqlite3')
+const { EDDATA_COLLECTOR_DB } = require('../consts')
+
+// The collector database holds operational state for the Collector itself
+// (e.g. messages spooled during maintenance, samples of rejected payloads,
+// payloads that failed to be written, stats for uploading software and
+// uploaders that have been throttled) rather than game data, so it is not
+// included in backups, snapshots or the downloadable data dumps.
+
+let database = null
+
+function getDatabase (options = {}) {
+  if (!database) {
+    // Ensure directory exists before creating database
+    const dbDir = path.dirname(EDDATA_COLLECTOR_DB)
+    if (!fs.existsSync(dbDir)) {
+      fs.mkdirSync(dbDir, { recursive: true })
+    }
+    database = new SqlLiteDatabase(EDDATA_COLLECTOR_DB, options)
+  }
+  return database
+}
+
+function getDatabaseName () {
+  return path.basename(EDDATA_COLLECTOR_DB)
+}
+
+function ensureTables () {
+  // Raw (still compressed) EDDN frames received while writing to the databases
+  // is suspended. The id is used as the drain order and as the checkpoint.
+  getDatabase().exec(`
+    CREATE TABLE IF NOT EXISTS spool (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message BLOB NOT NULL,
+      receivedAt TEXT
+    )
+  `)
+
+  // A sample of recent payloads that failed schema validation, for working
+  // out what is wrong with them and which software is sending them
+  getDatabase().exec(`
+    CREATE TABLE IF NOT EXISTS rejected_payloads (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      schemaRef TEXT,
+      softwareName TEXT,
+      softwareVersion TEXT,
+      errors TEXT,
+      payload TEXT,
+      receivedAt TEXT
+    )
+  `)
+
+  // Payloads that could not be written because an event handler threw an
+  // error, so they can be retried once the handler has been fixed
+  getDatabase().exec(`
+    CREATE TABLE IF NOT EXISTS dead_letters (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      schemaRef TEXT,
+      eventName TEXT,
+      handlerName TEXT,
+      error TEXT,
+      stack TEXT,
+      payload TEXT NOT NULL,
+      receivedAt TEXT,
+      failedAt TEXT,
+      retries INT DEFAULT 0
+    )
+  `)
+
+  // Number of messages received from each version of each uploading software
+  // per day, and how many of them were rejected, failed or blocked
+  getDatabase().exec(`
+    CREATE TABLE IF NOT EXISTS software_stats (
+      softwareName TEXT NOT NULL,
+      softwareVersion TEXT NOT NULL,
+      day TEXT NOT NULL,
+      messages INT DEFAULT 0,
+      rejected INT DEFAULT 0,
+      failed INT DEFAULT 0,
+      blocked INT DEFAULT 0,
+      uploaders INT DEFAULT 0,
+      firstSeenAt TEXT,
+      lastSeenAt TEXT,
+      PRIMARY KEY(softwareName, softwareVersion, day)
+    )
+  `)
+
+  // Number of messages ignored per day because an uploader (identified by a
+  // hash of the uploaderID) sent too many about the same market or system
+  getDatabase().exec(`
+    CREATE TABLE IF NOT EXISTS throttled_sources (
+      uploaderHash TEXT NOT NULL,
+      target TEXT NOT NULL,
+      day TEXT NOT NULL,
+      schemaRef TEXT,
+      softwareName TEXT,
+      softwareVersion TEXT,
+      throttled INT DEFAULT 0,
+      quarantined INT DEFAULT 0,
+      firstThrottledAt TEXT,
+      lastThrottledAt TEXT,
+      PRIMARY KEY(uploaderHash, target, day)
+    )
+  `)
+}
+
+function ensureIndexes () {
+  // The spool is only ever read in primary key order, no extra indexes needed
+  getDatabase().exec('CREATE INDEX IF NOT EXISTS rejected_payloads_schemaRef ON rejected_payloads (schemaRef)')
+  getDatabase().exec('CREATE INDEX IF NOT EXISTS dead_letters_handlerName ON dead_letters (handlerName)')
+}
+
+module.exports = {
+  getDatabase,
+  getDatabaseName,
+  ensureTables,
+  ensureIndexes
+}
@@ -0,0 +1,108 @@
+const path = require('path')
+const fs = require('fs')
+const SqlLiteDatabase = require('better-sqlite3')
+const { EDDATA_FACTIONS_DB } = require('../consts')
+
+let database = null
+
+function getDatabase (options = {}) {
+  if (!database) {
+    // Ensure directory exists before creating database
+    const dbDir = path.dirname(EDDATA_FACTIONS_DB)
+    if (!fs.existsSync(dbDir)) {
+      fs.mkdirSync(dbDir, { recursive: true })
+    }
+    database = new SqlLiteDatabase(EDDATA_FACTIONS_DB, options)
+  }
+  return database
+}
+
+function getDatabaseName () {
+  return path.basename(EDDATA_FACTIONS_DB)
+}
+
+function ensureTables () {
+  // Minor factions, with the allegiance and government they have everywhere
+  getDatabase().exec(`
+    CREATE TABLE IF NOT EXISTS factions (
+      factionName TEXT COLLATE NOCASE,
+      allegiance TEXT,
+      government TEXT,
+      updatedAt TEXT,
+      PRIMARY KEY(factionName)
+    )
+  `)
+
+  // The factions present in each system (from journal FSDJump and Location
+  // events), replaced each time a system is visited as factions can expand
+  // into and retreat from systems. States are stored as JSON lists of state
+  // names (pending and recovering states also have a trend).
+  getDatabase().exec(`
+    CREATE TABLE IF NOT EXISTS system_factions (
+      systemAddress INT,
+      factionName TEXT COLLATE NOCASE,
+      systemName TEXT COLLATE NOCASE,
+      systemX REAL,
+      systemY REAL,
+      systemZ REAL,
+      influence REAL,
+      state TEXT,
+      happiness TEXT,
+      activeStates TEXT,
+      pendingStates TEXT,
+      recoveringStates TEXT,
+      isControlling INT,
+      updatedAt TEXT,
+      PRIMARY KEY(systemAddress, factionName)
+    )
+  `)
+
+  // Influence of each faction in a system over time. Influence and states
+  // only change when the background simulation ticks, so a row is only added
+  // when they are different to the last row for the faction in the system,
+  // which gives at most one row per tick.
+  getDatabase().exec(`
+    CREATE TABLE IF NOT EXISTS faction_influence (
+      systemAddress INT,
+      factionName TEXT COLLATE NOCASE,
+      influence REAL,
+      state TEXT,
+      updatedAt TEXT,
+      PRIMARY KEY(systemAddress, factionName, updatedAt)
+    )
+  `)
+
+  // Wars, civil wars and elections between factions in a system, replaced
+  // along with the factions in the system
+  getDatabase().exec(`
+    CREATE TABLE IF NOT EXISTS system_conflicts (
+      systemAddress INT,
+      warType TEXT,
+      status TEXT,
+      faction1Name TEXT COLLATE NOCASE,
+      faction1Stake TEXT,
+      faction1WonDays INT,
+      faction2Name TEXT COLLATE NOCASE,
+      faction2Stake TEXT,
+      faction2WonDays INT,
+      updatedAt TEXT,
+      PRIMARY KEY(systemAddress, faction1Name, faction2Name)
+    )
+  `)
+}
+
+function ensureIndexes () {
+  getDatabase().exec('CREATE INDEX IF NOT EXISTS system_factions_factionName ON system_factions (factionName COLLATE NOCASE)')
+  getDatabase().exec('CREATE INDEX IF NOT EXISTS system_factions_systemName_collate ON system_factions (systemName COLLATE NOCASE)')
+  getDatabase().exec('CREATE INDEX IF NOT EXISTS faction_influence_factionName_updatedAt ON faction_influence (factionName COLLATE NOCASE, updatedAt)')
+  getDatabase().exec('CREATE INDEX IF NOT EXISTS faction_influence_updatedAt ON faction_influence (updatedAt)')
+  getDatabase().exec('CREATE INDEX IF NOT EXISTS system_conflicts_faction1Name ON system_conflicts (faction1Name COLLATE NOCASE)')
+  getDatabase().exec('CREATE INDEX IF NOT EXISTS system_conflicts_faction2Name ON system_conflicts (faction2Name COLLATE NOCASE)')
+}
+
+module.exports = {
+  getDatabase,
+  getDatabaseName,
+  ensureTables,
+  ensureIndexes
+}
@@ -2,22 +2,35 @@ const SystemsDatabase = require('./systems-db')
 const LocationsDatabase = require('./locations-db')
 const StationsDatabase = require('./stations-db')
 const TradeDatabase = require('./trade-db')
+const OutfittingDatabase = require('./outfitting-db')
+const ShipyardDatabase = require('./shipyard-db')
+const BodiesDatabase = require('./bodies-db')
+const FactionsDatabase = require('./factions-db')
+const CollectorDatabase = require('./collector-db')
 
 // A generous timeout of 5 seconds helps avoid any errors in the rare case there
 // is a write lock held by another process - e.g. a maintenance/stats script
 const WRITE_BUSY_TIMEOUT_IN_MS = 5000
 
-const [
-  systemsDb,
-  locationsDb,
-  stationsDb,
-  tradeDb
-] = [
-  SystemsDatabase,
-  LocationsDatabase,
-  StationsDatabase,
-  TradeDatabase
-].map(database => {
+// Each database is only opened the first time it is used in a thread (or
+// process), as every connection has its own cache. In the Collector the game
+// databases are only used by the writer thread (see lib/workers/writer-worker.js)
+// and the main thread only opens collector.db.
+const databases = {
+  systemsDb: SystemsDatabase,
+  locationsDb: LocationsDatabase,
+  stationsDb: StationsDatabase,
+  tradeDb: TradeDatabase,
+  outfittingDb: OutfittingDatabase,
+  shipyardDb: ShipyardDatabase,
+  bodiesDb: BodiesDatabase,
+  factionsDb: FactionsDatabase,
+  collectorDb: CollectorDatabase
+}
+
+const openDatabases = new Map()
+
+function openDatabase (database) {
   const databaseName = database.getDatabaseName()
 
   console.log(`[${databaseName}] Initalizing database`)
@@ -31,11 +44,14 @@ const [
   db.pragma(`busy_timeout = ${WRITE_BUSY_TIMEOUT_IN_MS}`)
 
   // Performance optimizations for very large databases (trade.db is 7.4GB+)
-  // Server has 8GB RAM total, so cache must be realistic
-  db.pragma('cache_size = -2000000') // 2GB cache (27% of 7.4GB DB)
-  db.pragma('temp_store = MEMORY') // Temp tables in RAM
-  db.pragma('mmap_size = 8589934592') // 8GB Memory-Mapped I/O (OS handles swapping)
-  db.pragma('page_size = 8192') // Larger pages for better throughput
+  // Server has 8GB RAM total, so cache must be realistic. collector.db is
+  // small, so it keeps the default cache.
+  if (database !== CollectorDatabase) {
+    db.pragma('cache_size = -2000000') // 2GB cache (27% of 7.4GB DB)
+    db.pragma('temp_store = MEMORY') // Temp tables in RAM
+    db.pragma('mmap_size = 8589934592') // 8GB Memory-Mapped I/O (OS handles swapping)
+    db.pragma('page_size = 8192') // Larger pages for better throughput
+  }
 
   console.log(`[${databaseName}] Ensuring tables exist and indexes present`)
   database.ensureTables()
@@ -49,19 +65,38 @@ const [
 
   console.log(`[${databaseName}] Database initalized`)
   return db
-})
+}
+
+function getOpenDatabase (name) {
+  if (!openDatabases.has(name)) openDatabases.set(name, openDatabase(databases[name]))
+  return openDatabases.get(name)
+}
+
+// Write everything in the write-ahead logs back to the databases and truncate
+// the logs, so the database files are complete on their own (e.g. before
+// shutting down)
+const checkpointAllDatabases = () => {
+  for (const db of openDatabases.values()) {
+    if (!db.open) continue
+    try {
+      db.pragma('wal_checkpoint(TRUNCATE)')
+    } catch (error) {
+      console.error(`Failed to checkpoint ${db.name}:`, error.message)
+    }
+  }
+}
 
 const closeAllDatabaseConnections = () => {
-  locationsDb.close()
-  stationsDb.close()
-  tradeDb.close()
-  systemsDb.close()
+  for (const db of openDatabases.values()) {
+    if (db.open) db.close()
+  }
 }
 
 module.exports = {
-  systemsDb,
-  locationsDb,
-  stationsDb,
-  tradeDb,
+  checkpointAllDatabases,
   closeAllDatabaseConnections
 }
+
+for (const name of Object.keys(databases)) {
+  Object.defineProperty(module.exports, name, { enumerable: true, get: () => getOpenDatabase(name) })
+}
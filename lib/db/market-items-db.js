@@ -0,0 +1,54 @@
+const path = require('path')
+const fs = require('fs')
+const SqlLiteDatabase = require('better-sqlite3')
+
+// Outfitting and shipyard data are both lists of the items (modules or ships)
+// sold at a market, stored as a row for each item at each market keyed by the
+// symbol of the item (in symbolColumn) and the market ID. Returns a database
+// module (see lib/db/index.js) for a database at pathToDatabase with a table
+// of items laid out like this.
+function createMarketItemsDatabase (pathToDatabase, { table, symbolColumn }) {
+  let database = null
+
+  function getDatabase (options = {}) {
+    if (!database) {
+      // Ensure directory exists before creating database
+      const dbDir = path.dirname(pathToDatabase)
+      if (!fs.existsSync(dbDir)) {
+        fs.mkdirSync(dbDir, { recursive: true })
+      }
+      database = new SqlLiteDatabase(pathToDatabase, options)
+    }
+    return database
+  }
+
+  function getDatabaseName () {
+    return path.basename(pathToDatabase)
+  }
+
+  function ensureTables () {
+    getDatabase().exec(`
+      CREATE TABLE IF NOT EXISTS ${table} (
+        ${symbolColumn} TEXT,
+        marketId INT,
+        updatedAt TEXT,
+        updatedAtDay TEXT,
+        PRIMARY KEY(${symbolColumn}, marketId)
+      )
+    `)
+  }
+
+  function ensureIndexes () {
+    getDatabase().exec(`CREATE INDEX IF NOT EXISTS ${table}_marketId ON ${table} (marketId)`)
+    getDatabase().exec(`CREATE INDEX IF NOT EXISTS ${table}_${symbolColumn}_updatedAtDay ON ${table} (${symbolColumn}, updatedAtDay)`)
+  }
+
+  return {
+    getDatabase,
+    getDatabaseName,
+    ensureTables,
+    ensureIndexes
+  }
+}
+
+module.exports = createMarketItemsDatabase
@@ -0,0 +1,6 @@
+const { EDDATA_OUTFITTING_DB } = require('../consts')
+const createMarketItemsDatabase = require('./market-items-db')
+
+// moduleSymbol is the lower case symbol used by the game for the module
+// (e.g. 'int_hyperdrive_size5_class5' for a 5A Frame Shift Drive)
+module.exports = createMarketItemsDatabase(EDDATA_OUTFITTING_DB, { table: 'modules', symbolColumn: 'moduleSymbol' })
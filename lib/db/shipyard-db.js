@@ -0,0 +1,6 @@
+const { EDDATA_SHIPYARD_DB } = require('../consts')
+const createMarketItemsDatabase = require('./market-items-db')
+
+// shipSymbol is the lower case symbol used by the game for the ship type
+// (e.g. 'cobra_mkiii' for a Cobra Mk III)
+module.exports = createMarketItemsDatabase(EDDATA_SHIPYARD_DB, { table: 'ships', symbolColumn: 'shipSymbol' })
@@ -69,6 +69,25 @@ function ensureTables () {
       updatedAt TEXT
     )
   `)
+
+  // Where each Fleet Carrier has been, from CarrierJump events (and Location
+  // and Docked events for carriers). A row is only added when a carrier is
+  // seen in a different system to the last one, at the time it was seen there.
+  getDatabase().exec(`
+    CREATE TABLE IF NOT EXISTS carrier_locations (
+      marketId INT,
+      stationName TEXT COLLATE NOCASE,
+      systemAddress INT,
+      systemName TEXT COLLATE NOCASE,
+      systemX REAL,
+      systemY REAL,
+      systemZ REAL,
+      bodyId INT,
+      bodyName TEXT COLLATE NOCASE,
+      arrivedAt TEXT,
+      PRIMARY KEY(marketId, arrivedAt)
+    )
+  `)
 }
 
 function ensureIndexes () {
@@ -79,6 +98,7 @@ function ensureIndexes () {
   // queries relating to getting all stations within a system for a specific
   // commodity.
   getDatabase().exec('CREATE INDEX IF NOT EXISTS stations_systemAddress ON stations (systemAddress)')
+  getDatabase().exec('CREATE INDEX IF NOT EXISTS carrier_locations_systemAddress ON carrier_locations (systemAddress)')
 }
 
 function migrateSchema () {
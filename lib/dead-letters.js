@@ -0,0 +1,119 @@
+const { collectorDb } = require('./db')
+const { EDDATA_DEAD_LETTERS_MAX } = require('./consts')
+const { incrementCounter } = require('./message-counters')
+
+const insertDeadLetter = collectorDb.prepare(`
+  INSERT INTO dead_letters (schemaRef, eventName, handlerName, error, stack, payload, receivedAt, failedAt)
+  VALUES (@schemaRef, @eventName, @handlerName, @error, @stack, @payload, @receivedAt, @failedAt)
+`)
+
+const updateDeadLetterAfterRetry = collectorDb.prepare(`
+  UPDATE dead_letters
+    SET handlerName = @handlerName, error = @error, stack = @stack, failedAt = @failedAt, retries = retries + 1
+    WHERE id = @id
+`)
+
+const selectDeadLetterById = collectorDb.prepare(`
+  SELECT * FROM dead_letters WHERE id = @id
+`)
+
+const deleteDeadLetterById = collectorDb.prepare(`
+  DELETE FROM dead_letters WHERE id = @id
+`)
+
+const countDeadLetters = collectorDb.prepare(`
+  SELECT COUNT(*) AS count FROM dead_letters
+`)
+
+// Keep a count in memory so the limit can be checked cheaply. It is refreshed
+// when the limit is reached, as dead letters may have been retried or purged
+// by scripts/dead-letters.js in another process.
+let deadLetterCount = countDeadLetters.get().count
+
+// Save a payload that an event handler failed to process, with the error
+function saveDeadLetter (payload, error, receivedAt = new Date()) {
+  const schemaRef = payload?.$schemaRef ?? 'SCHEMA_UNDEFINED'
+  incrementCounter('failed', schemaRef, payload?.header?.softwareName ?? 'Unknown')
+
+  if (deadLetterCount >= EDDATA_DEAD_LETTERS_MAX) deadLetterCount = countDeadLetters.get().count
+  if (deadLetterCount >= EDDATA_DEAD_LETTERS_MAX) {
+    console.warn(`Dead letter store is full (${deadLetterCount} payloads), not saving failed ${schemaRef} payload`)
+    return null
+  }
+
+  const { lastInsertRowid } = insertDeadLetter.run({
+    schemaRef,
+    eventName: payload?.message?.event ?? null,
+    handlerName: error?.handlerName ?? null,
+    error: error?.message ?? String(error),
+    stack: error?.stack ?? null,
+    payload: JSON.stringify(payload),
+    receivedAt: receivedAt.toISOString(),
+    failedAt: new Date().toISOString()
+  })
+  deadLetterCount++
+  return lastInsertRowid
+}
+
+// Returns dead letters (without the payload and stack) matching the filters,
+// most recent first
+function listDeadLetters ({ schemaRef = null, handlerName = null, before = null, limit = -1 } = {}) {
+  return collectorDb.prepare(`
+    SELECT id, schemaRef, eventName, handlerName, error, receivedAt, failedAt, retries
+      FROM dead_letters
+      WHERE (@schemaRef IS NULL OR schemaRef = @schemaRef)
+        AND (@handlerName IS NULL OR handlerName = @handlerName)
+        AND (@before IS NULL OR failedAt < @before)
+      ORDER BY id DESC
+      LIMIT @limit
+  `).all({ schemaRef, handlerName, before, limit })
+}
+
+function getDeadLetter (id) {
+  const deadLetter = selectDeadLetterById.get({ id })
+  if (!deadLetter) return null
+  return { ...deadLetter, payload: JSON.parse(deadLetter.payload) }
+}
+
+// Try to process a dead letter again with processPayload(payload). If it
+// succeeds the dead letter is removed, otherwise it is updated with the new
+// error. Returns true if it succeeded.
+function retryDeadLetter (id, processPayload) {
+  const deadLetter = getDeadLetter(id)
+  if (!deadLetter) return false
+
+  try {
+    processPayload(deadLetter.payload)
+  } catch (error) {
+    updateDeadLetterAfterRetry.run({
+      id,
+      handlerName: error?.handlerName ?? null,
+      error: error?.message ?? String(error),
+      stack: error?.stack ?? null,
+      failedAt: new Date().toISOString()
+    })
+    return false
+  }
+
+  deleteDeadLetter(id)
+  return true
+}
+
+function deleteDeadLetter (id) {
+  const { changes } = deleteDeadLetterById.run({ id })
+  deadLetterCount = Math.max(deadLetterCount - changes, 0)
+  return changes > 0
+}
+
+function getDeadLetterCount () {
+  return deadLetterCount
+}
+
+module.exports = {
+  saveDeadLetter,
+  listDeadLetters,
+  getDeadLetter,
+  retryDeadLetter,
+  deleteDeadLetter,
+  getDeadLetterCount
+}
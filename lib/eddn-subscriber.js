@@ -0,0 +1,126 @@
+const zmq = require('zeromq')
+const { EDDN_SERVERS, EDDN_SILENCE_TIMEOUT_SECONDS } = require('./consts')
+
+// Subscribes to an EDDN relay and passes every message received to a callback.
+// If the callback returns a promise, the next message is not read from the
+// socket until it resolves, so the callback can apply backpressure.
+//
+// EDDN_SERVER may be a comma separated list of relays. Messages are only
+// received from one relay at a time (starting with the first in the list) so
+// the same message is not received more than once. A watchdog checks that
+// messages are still arriving; if none have been received for
+// EDDN_SILENCE_TIMEOUT_SECONDS it reconnects, moving on to the next relay in
+// the list (or reconnecting to the same relay, if there is only one).
+const WATCHDOG_INTERVAL_IN_MS = Math.min(EDDN_SILENCE_TIMEOUT_SECONDS * 1000 / 4, 10 * 1000)
+
+let socket = null
+let serverIndex = 0
+let watchdogInterval = null
+let onMessage = null
+
+const connectionState = {
+  status: 'disconnected', // 'connecting', 'connected' or 'disconnected'
+  server: null,
+  connectedAt: null,
+  lastMessageAt: null,
+  messagesReceived: 0,
+  failovers: 0
+}
+
+function connect () {
+  const server = EDDN_SERVERS[serverIndex]
+  console.log(`Connecting to EDDN ${server}…`)
+
+  socket = new zmq.Subscriber()
+  const currentSocket = socket
+
+  // Socket events are only used to report the connection state, the watchdog
+  // decides when to reconnect (ZeroMQ retries dropped connections itself)
+  socket.events.on('connect', () => {
+    if (currentSocket !== socket) return
+    connectionState.status = 'connected'
+    console.log(`Connected to EDDN ${server}`)
+  })
+  socket.events.on('disconnect', () => {
+    if (currentSocket !== socket) return
+    connectionState.status = 'disconnected'
+    console.warn(`Disconnected from EDDN ${server}`)
+  })
+
+  socket.connect(server)
+  socket.subscribe('')
+
+  connectionState.status = 'connecting'
+  connectionState.server = server
+  connectionState.connectedAt = Date.now()
+
+  receiveMessages(currentSocket)
+}
+
+async function receiveMessages (currentSocket) {
+  try {
+    for await (const [message] of currentSocket) {
+      connectionState.lastMessageAt = Date.now()
+      connectionState.messagesReceived++
+      await onMessage(message)
+    }
+  } catch (error) {
+    // Closing the socket on failover ends the loop with an error, which is
+    // expected; anything else is logged and left to the watchdog to recover
+    if (currentSocket === socket) console.error(`Error receiving from EDDN ${connectionState.server}:`, error.message)
+  }
+}
+
+function disconnect () {
+  if (!socket) return
+  const previousSocket = socket
+  socket = null
+  previousSocket.close()
+  connectionState.status = 'disconnected'
+}
+
+function checkForSilence () {
+  const silentSince = Math.max(connectionState.lastMessageAt ?? 0, connectionState.connectedAt ?? 0)
+  const silentForSeconds = (Date.now() - silentSince) / 1000
+  if (silentForSeconds < EDDN_SILENCE_TIMEOUT_SECONDS) return
+
+  const previousServer = connectionState.server
+  serverIndex = (serverIndex + 1) % EDDN_SERVERS.length
+  console.warn(`No messages from EDDN ${previousServer} for ${Math.round(silentForSeconds)}s, ` +
+    (EDDN_SERVERS[serverIndex] === previousServer ? 'reconnecting' : `failing over to ${EDDN_SERVERS[serverIndex]}`))
+
+  connectionState.failovers++
+  disconnect()
+  connect()
+}
+
+function startEddnSubscriber (messageCallback) {
+  onMessage = messageCallback
+  connect()
+  watchdogInterval = setInterval(checkForSilence, WATCHDOG_INTERVAL_IN_MS)
+}
+
+function stopEddnSubscriber () {
+  clearInterval(watchdogInterval)
+  watchdogInterval = null
+  disconnect()
+}
+
+// Connection state for /health
+function getEddnConnectionState () {
+  return {
+    status: connectionState.status,
+    server: connectionState.server,
+    servers: EDDN_SERVERS,
+    lastMessageAt: connectionState.lastMessageAt ? new Date(connectionState.lastMessageAt).toISOString() : null,
+    lastMessageAgeSeconds: connectionState.lastMessageAt ? Math.round((Date.now() - connectionState.lastMessageAt) / 1000) : null,
+    messagesReceived: connectionState.messagesReceived,
+    failovers: connectionState.failovers
+  }
+}
+
+module.exports = {
+  startEddnSubscriber,
+  stopEddnSubscriber,
+  getEddnConnectionState
+}
@@ -1,17 +1,19 @@
 const crypto = require('crypto')
-const { insertOrReplaceInto } = require('../sql-helper')
+const { upsert } = require('../sql-helper')
 const { systemsDb, locationsDb, stationsDb } = require('../db')
 const { getSystemSector } = require('../system-sectors')
+const { getEventTimestamp, countStaleMessage } = require('../event-timestamp')
 
 const selectSystemByAddress = systemsDb.prepare(`
   SELECT * FROM systems WHERE systemAddress = @systemAddress
 `)
 
-const selectStationByMarketId = stationsDb.prepare(`
-  SELECT * FROM stations WHERE marketId = @marketId
-`)
+module.exports = {
+  schemaRefs: ['https://eddn.edcd.io/schemas/approachsettlement/1'],
+  handler
+}
 
-module.exports = (payload) => {
+function handler (payload) {
   const approachSettlementEvent = payload.message
 
   // Ignore systems submitted to without valid positions.
@@ -27,18 +29,19 @@ module.exports = (payload) => {
   const systemX = approachSettlementEvent.StarPos[0]
   const systemY = approachSettlementEvent.StarPos[1]
   const systemZ = approachSettlementEvent.StarPos[2]
+  const updatedAt = getEventTimestamp(payload)
 
   // Add system if it doesn't exist (it should, but in case it's missing for any reason!)
   if (!selectSystemByAddress.get({ systemAddress })) {
-    insertOrReplaceInto(systemsDb, 'systems', {
+    upsert(systemsDb, 'systems', {
       systemAddress,
       systemName,
       systemX,
       systemY,
       systemZ,
       systemSector: getSystemSector(systemName),
-      updatedAt: new Date().toISOString()
-    })
+      updatedAt
+    }, ['systemAddress'])
   }
 
   const newItem = {
@@ -51,7 +54,7 @@ module.exports = (payload) => {
     bodyName: approachSettlementEvent.BodyName,
     latitude: approachSettlementEvent.Latitude,
     longitude: approachSettlementEvent.Longitude,
-    updatedAt: new Date().toISOString()
+    updatedAt
   }
 
   if (approachSettlementEvent?.MarketID) {
@@ -59,13 +62,11 @@ module.exports = (payload) => {
     newItem.marketId = approachSettlementEvent.MarketID
     newItem.stationName = stationName
 
-    if (selectStationByMarketId.get({ marketId: approachSettlementEvent.MarketID })) {
-      // If station exists, update it with body/location info from approach event
-      insertOrReplaceInto(stationsDb, 'stations', newItem)
-    } else {
-      // If station does not exist, insert it
-      insertOrReplaceInto(stationsDb, 'stations', newItem)
-    }
+    // Insert the station if it does not exist, otherwise only update it with
+    // the body/location info from the approach event (leaving services,
+    // economies, faction, etc. as they are) unless it has been updated since
+    const { changes } = upsert(stationsDb, 'stations', newItem, ['marketId'], { onlyIfNewer: 'updatedAt' })
+    if (changes === 0) countStaleMessage(payload)
   } else {
     // If does not have Market ID (e.g. is a tourist location, Guardian site,
     // etc) then log to list of interesting locations. We generate a hash from
@@ -79,6 +80,7 @@ module.exports = (payload) => {
       .update(`${newItem.systemAddress}/${newItem.locationName}/${newItem.bodyId}/${newItem.latitude}/${newItem.longitude}`)
       .digest('hex')
 
-    insertOrReplaceInto(locationsDb, 'locations', newItem)
+    const { changes } = upsert(locationsDb, 'locations', newItem, ['locationId'], { onlyIfNewer: 'updatedAt' })
+    if (changes === 0) countStaleMessage(payload)
   }
 }
@@ -1,19 +1,38 @@
 const { stationsDb, tradeDb } = require('../db')
-const { insertOrReplaceInto } = require('../sql-helper')
+const { upsert } = require('../sql-helper')
+const { getEventTimestamp, countStaleMessage } = require('../event-timestamp')
 
 const deleteMarketData = tradeDb.prepare(`
   DELETE FROM commodities WHERE marketId = @marketId
 `)
 
+const selectMarketUpdatedAt = tradeDb.prepare(`
+  SELECT MAX(updatedAt) AS updatedAt FROM commodities WHERE marketId = @marketId
+`)
+
 const selectStationByMarketId = stationsDb.prepare(`
   SELECT * FROM stations WHERE marketId = @marketId
 `)
 
-module.exports = (payload) => {
+module.exports = {
+  schemaRefs: ['https://eddn.edcd.io/schemas/commodity/3'],
+  handler
+}
+
+function handler (payload) {
   const marketId = payload.message.marketId
   const isFleetCarrier = payload.message.stationName.match('^[A-Z0-9]{3}-[A-Z0-9]{3}$')
-  const updatedAt = new Date(payload.message.timestamp).toISOString()
-  const updatedAtDay = new Date(payload.message.timestamp).toISOString().split('T')[0]
+  const updatedAt = getEventTimestamp(payload)
+  const updatedAtDay = updatedAt.split('T')[0]
+
+  // Ignore market data that is older than the data we already have for this
+  // market (e.g. from an uploader resending a backlog of messages), as it
+  // would replace more recent prices with old ones.
+  const market = selectMarketUpdatedAt.get({ marketId })
+  if (market?.updatedAt && market.updatedAt > updatedAt) {
+    countStaleMessage(payload)
+    return
+  }
 
   if (isFleetCarrier) {
     // As Fleet Carriers move around and can change at any time,
@@ -31,7 +50,7 @@ module.exports = (payload) => {
     const stationName = payload.message.stationName
     const stationType = payload.message.stationType
     const prohibited = payload.message.prohibited || null
-    addStationToDatabase(marketId, stationName, stationType, prohibited)
+    addStationToDatabase(marketId, stationName, stationType, prohibited, updatedAt)
   }
 
   for (const commodity of payload.message.commodities) {
@@ -62,14 +81,14 @@ module.exports = (payload) => {
       updatedAt,
       updatedAtDay
     }
-    insertOrReplaceInto(tradeDb, 'commodities', newItem)
+    upsert(tradeDb, 'commodities', newItem, ['commodityName', 'marketId'], { onlyIfNewer: 'updatedAt' })
   }
 }
 
 // This adds very basic station information in the event there is no data at all
 // for a market. As the events contain a non-unique system name but no canonical
 // system address (64 bit ID) so we just log what we have that we can be sure of
-function addStationToDatabase (marketId, _stationName, _stationType, prohibited = null) {
+function addStationToDatabase (marketId, _stationName, _stationType, prohibited = null, updatedAt = new Date().toISOString()) {
   let stationName = _stationName
   let stationType = _stationType
 
@@ -102,7 +121,7 @@ function addStationToDatabase (marketId, _stationName, _stationType, prohibited
   const stationData = {
     marketId,
     stationName,
-    updatedAt: new Date().toISOString()
+    updatedAt
   }
 
   // Only add stationType if it is defined. This avoids values for station type
@@ -114,5 +133,5 @@ function addStationToDatabase (marketId, _stationName, _stationType, prohibited
     stationData.prohibited = JSON.stringify(prohibited)
   }
 
-  insertOrReplaceInto(stationsDb, 'stations', stationData)
+  upsert(stationsDb, 'stations', stationData, ['marketId'])
 }
@@ -1,12 +1,18 @@
 const { systemsDb } = require('../db')
-const { insertOrReplaceInto } = require('../sql-helper')
+const { upsert } = require('../sql-helper')
 const { getSystemSector } = require('../system-sectors')
+const { getEventTimestamp } = require('../event-timestamp')
 
 const selectSystemByAddress = systemsDb.prepare(`
   SELECT * FROM systems WHERE systemAddress = @systemAddress
 `)
 
-module.exports = (payload) => {
+module.exports = {
+  schemaRefs: ['https://eddn.edcd.io/schemas/fssdiscoveryscan/1'],
+  handler
+}
+
+function handler (payload) {
   const systemAddress = payload.message.SystemAddress
 
   // Ignore systems submitted to EDDN without XYZ positions
@@ -18,14 +24,14 @@ module.exports = (payload) => {
   const system = selectSystemByAddress.get({ systemAddress })
 
   if (!system) {
-    insertOrReplaceInto(systemsDb, 'systems', {
+    upsert(systemsDb, 'systems', {
       systemAddress,
       systemName: payload.message.SystemName,
       systemX: payload.message.StarPos[0],
       systemY: payload.message.StarPos[1],
       systemZ: payload.message.StarPos[2],
       systemSector: getSystemSector(payload.message.SystemName),
-      updatedAt: new Date().toISOString()
-    })
+      updatedAt: getEventTimestamp(payload)
+    }, ['systemAddress'])
   }
 }
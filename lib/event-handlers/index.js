@@ -0,0 +1,119 @@
+const path = require('path')
+const fs = require('fs')
+const { EDDATA_PLUGINS_DIR, JOURNAL_SCHEMA_REF } = require('../consts')
+const { observeHandlerDuration } = require('../metrics')
+
+// Registry of event handlers, keyed by EDDN schema ($schemaRef) and - for the
+// journal schema - by journal event name.
+//
+// Handler modules are discovered automatically from this directory (and any
+// subdirectories) and from EDDATA_PLUGINS_DIR, if set. Each module declares
+// what it handles and exports a function to handle it:
+//
+//   module.exports = {
+//     schemaRefs: ['https://eddn.edcd.io/schemas/commodity/3'],
+//     handler (payload) { … }
+//   }
+//
+// Handlers for individual journal events use `journalEvents` instead, e.g.
+// `journalEvents: ['Docked']`. A module may declare both. If more than one
+// handler is registered for the same schema or event they are all called, in
+// the order they were loaded (built-in handlers first, then plugins).
+//
+// In the Collector, handlers are only loaded on the writer thread (see
+// lib/workers/writer-worker.js), which reports what is registered to the main
+// thread when it starts.
+
+const schemaHandlers = {}
+const journalEventHandlers = {}
+
+function getHandlerModulePaths (dir) {
+  const modulePaths = []
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+    const pathToEntry = path.join(dir, entry.name)
+    if (entry.isDirectory()) {
+      modulePaths.push(...getHandlerModulePaths(pathToEntry))
+    } else if (entry.isFile() && entry.name.endsWith('.js') && pathToEntry !== __filename) {
+      modulePaths.push(pathToEntry)
+    }
+  }
+  return modulePaths
+}
+
+function registerHandlers (dir, { isPlugin = false } = {}) {
+  for (const pathToModule of getHandlerModulePaths(dir)) {
+    const name = (isPlugin ? 'plugin:' : '') + path.relative(dir, pathToModule).replace(/\.js$/, '').replaceAll(path.sep, '/')
+    const handlerModule = require(pathToModule)
+
+    if (typeof handlerModule?.handler !== 'function' || (!handlerModule?.schemaRefs && !handlerModule?.journalEvents)) {
+      console.warn(`Ignoring event handler module ${name} (does not export a handler with schemaRefs or journalEvents)`)
+      continue
+    }
+
+    const registeredHandler = { name, handler: handlerModule.handler }
+    for (const schemaRef of handlerModule.schemaRefs ?? []) {
+      (schemaHandlers[schemaRef] ??= []).push(registeredHandler)
+    }
+    for (const eventName of handlerModule.journalEvents ?? []) {
+      (journalEventHandlers[eventName.toLowerCase()] ??= []).push(registeredHandler)
+    }
+  }
+}
+
+registerHandlers(__dirname)
+if (EDDATA_PLUGINS_DIR) {
+  if (fs.existsSync(EDDATA_PLUGINS_DIR)) {
+    console.log(`Loading event handler plugins from ${EDDATA_PLUGINS_DIR}`)
+    registerHandlers(path.resolve(EDDATA_PLUGINS_DIR), { isPlugin: true })
+  } else {
+    console.warn(`Event handler plugins directory not found: ${EDDATA_PLUGINS_DIR}`)
+  }
+}
+
+function getHandlersForPayload (payload) {
+  const schema = payload?.$schemaRef ?? 'SCHEMA_UNDEFINED'
+  const handlers = [...(schemaHandlers[schema] ?? [])]
+
+  if (schema === JOURNAL_SCHEMA_REF) {
+    const eventName = payload?.message?.event?.toLowerCase()
+    handlers.push(...(journalEventHandlers[eventName] ?? []))
+  }
+
+  return handlers
+}
+
+// Errors thrown by a handler are re-thrown with the name of the handler added
+// as `handlerName`, so failed messages can be traced back to the handler
+function handleEvent (payload) {
+  const handlers = getHandlersForPayload(payload)
+  for (const { name, handler } of handlers) {
+    const startTime = performance.now()
+    try {
+      handler(payload)
+    } catch (error) {
+      if (error instanceof Error) error.handlerName ??= name
+      throw error
+    } finally {
+      observeHandlerDuration(name, (performance.now() - startTime) / 1000)
+    }
+  }
+  return handlers.length
+}
+
+// Summary of which handlers are wired up to which schemas and journal events
+function getRegisteredHandlers () {
+  const summarise = (handlersByKey) => Object.fromEntries(
+    Object.entries(handlersByKey).map(([key, handlers]) => [key, handlers.map(({ name }) => name)])
+  )
+  return {
+    schemas: summarise(schemaHandlers),
+    journalEvents: summarise(journalEventHandlers)
+  }
+}
+
+module.exports = {
+  JOURNAL_SCHEMA_REF,
+  handleEvent,
+  getHandlersForPayload,
+  getRegisteredHandlers
+}
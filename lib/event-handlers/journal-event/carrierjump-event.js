@@ -0,0 +1,18 @@
+const { updateCarrierLocation, isFleetCarrier } = require('../../carrier-locations')
+const { countStaleMessage } = require('../../event-timestamp')
+
+module.exports = {
+  journalEvents: ['CarrierJump'],
+  handler
+}
+
+function handler (payload) {
+  const { message } = payload
+
+  // CarrierJump events are written for players aboard a carrier when it jumps,
+  // so they say where the carrier is now
+  if (!message?.MarketID || !isFleetCarrier(message?.StationName)) return
+
+  const { changes } = updateCarrierLocation(payload)
+  if (changes === 0) countStaleMessage(payload)
+}
@@ -1,12 +1,16 @@
 const { stationsDb } = require('../../db')
-const { update, insertOrReplaceInto } = require('../../sql-helper')
+const { upsert } = require('../../sql-helper')
 const stationTypes = require('../../station-types')
+const { getStationServices } = require('../../station-services')
+const { getEventTimestamp, countStaleMessage } = require('../../event-timestamp')
+const { addCarrierLocation } = require('../../carrier-locations')
 
-const selectStationByMarketId = stationsDb.prepare(`
-  SELECT * FROM stations WHERE marketId = @marketId
-`)
+module.exports = {
+  journalEvents: ['Docked'],
+  handler
+}
 
-module.exports = (payload) => {
+function handler (payload) {
   const { message } = payload
 
   if (!message?.MarketID) {
@@ -88,27 +92,7 @@ module.exports = (payload) => {
     controllingFaction: isFleetCarrier ? null : message?.StationFaction?.Name ?? null,
     primaryEconomy,
     secondaryEconomy,
-    shipyard: message?.StationServices.includes('shipyard') ? 1 : 0,
-    outfitting: message?.StationServices.includes('outfitting') ? 1 : 0,
-    blackMarket: message?.StationServices.includes('blackmarket') ? 1 : 0,
-    contacts: message?.StationServices.includes('contacts') ? 1 : 0,
-    crewLounge: message?.StationServices.includes('crewlounge') ? 1 : 0,
-    interstellarFactors: message?.StationServices.includes('facilitator') ? 1 : 0,
-    materialTrader: message?.StationServices.includes('materialtrader') ? 1 : 0,
-    missions: message?.StationServices.includes('missions') ? 1 : 0,
-    refuel: message?.StationServices.includes('refuel') ? 1 : 0,
-    repair: message?.StationServices.includes('repair') ? 1 : 0,
-    restock: message?.StationServices.includes('restock') ? 1 : 0,
-    searchAndRescue: message?.StationServices.includes('searchrescue') ? 1 : 0,
-    technologyBroker: message?.StationServices.includes('techBroker') ? 1 : 0,
-    tuning: message?.StationServices.includes('tuning') ? 1 : 0,
-    universalCartographics: message?.StationServices.includes('exploration') ? 1 : 0,
-    engineer: message?.StationServices.includes('engineer') ? 1 : 0,
-    frontlineSolutions: message?.StationServices.includes('frontlinesolutions') ? 1 : 0,
-    apexInterstellar: message?.StationServices.includes('apexinterstellar') ? 1 : 0,
-    vistaGenomics: message?.StationServices.includes('vistagenomics') ? 1 : 0,
-    pioneerSupplies: message?.StationServices.includes('pioneersupplies') ? 1 : 0,
-    bartender: message?.StationServices.includes('bartender') ? 1 : 0,
+    ...getStationServices(message?.StationServices),
     prohibited: message?.Prohibited && Array.isArray(message.Prohibited) && message.Prohibited.length > 0
       ? JSON.stringify(message.Prohibited)
       : null,
@@ -119,16 +103,15 @@ module.exports = (payload) => {
     systemY: message?.StarPos[1] ?? null,
     systemZ: message?.StarPos[2] ?? null,
     maxLandingPadSize,
-    updatedAt: new Date().toISOString()
+    updatedAt: getEventTimestamp(payload)
   }
 
   // Somehow data without LandingPads info is (rarely) coming through but other
   // data seems fine. It might be from old and/or buggy software.
   if (maxLandingPadSize) stationData.maxLandingPadSize = maxLandingPadSize
 
-  if (selectStationByMarketId.get({ marketId: message?.MarketID })) {
-    update(stationsDb, 'stations', stationData, 'marketId = @marketId')
-  } else {
-    insertOrReplaceInto(stationsDb, 'stations', stationData)
-  }
+  // Leave the station as it is if it has been updated since this event
+  const { changes } = upsert(stationsDb, 'stations', stationData, ['marketId'], { onlyIfNewer: 'updatedAt' })
+  if (changes === 0) countStaleMessage(payload)
+  if (changes > 0 && isFleetCarrier) addCarrierLocation(stationData)
 }
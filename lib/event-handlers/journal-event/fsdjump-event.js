@@ -1,8 +1,15 @@
 const { systemsDb } = require('../../db')
-const { insertOrReplaceInto } = require('../../sql-helper')
+const { upsert } = require('../../sql-helper')
 const { getSystemSector } = require('../../system-sectors')
+const { getEventTimestamp, countStaleMessage } = require('../../event-timestamp')
+const { updateSystemFactions } = require('../../system-factions')
 
-module.exports = (payload) => {
+module.exports = {
+  journalEvents: ['FSDJump'],
+  handler
+}
+
+function handler (payload) {
   const { message } = payload
 
   if (!message?.SystemAddress) {
@@ -17,8 +24,11 @@ module.exports = (payload) => {
     systemY: message.StarPos?.[1] ?? null,
     systemZ: message.StarPos?.[2] ?? null,
     systemSector: getSystemSector(message.StarSystem),
-    updatedAt: new Date(message.timestamp).toISOString()
+    updatedAt: getEventTimestamp(payload)
   }
 
-  insertOrReplaceInto(systemsDb, 'systems', systemData)
+  const { changes } = upsert(systemsDb, 'systems', systemData, ['systemAddress'], { onlyIfNewer: 'updatedAt' })
+  if (changes === 0) countStaleMessage(payload)
+
+  updateSystemFactions(payload)
 }
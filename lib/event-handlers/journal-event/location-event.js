@@ -1,8 +1,16 @@
 const { systemsDb } = require('../../db')
-const { insertOrReplaceInto } = require('../../sql-helper')
+const { upsert } = require('../../sql-helper')
 const { getSystemSector } = require('../../system-sectors')
+const { getEventTimestamp, countStaleMessage } = require('../../event-timestamp')
+const { updateSystemFactions } = require('../../system-factions')
+const { updateCarrierLocation, isFleetCarrier } = require('../../carrier-locations')
 
-module.exports = (payload) => {
+module.exports = {
+  journalEvents: ['Location'],
+  handler
+}
+
+function handler (payload) {
   const { message } = payload
 
   if (!message?.SystemAddress) {
@@ -17,8 +25,16 @@ module.exports = (payload) => {
     systemY: message.StarPos?.[1] ?? null,
     systemZ: message.StarPos?.[2] ?? null,
     systemSector: getSystemSector(message.StarSystem),
-    updatedAt: new Date(message.timestamp).toISOString()
+    updatedAt: getEventTimestamp(payload)
   }
 
-  insertOrReplaceInto(systemsDb, 'systems', systemData)
+  const { changes } = upsert(systemsDb, 'systems', systemData, ['systemAddress'], { onlyIfNewer: 'updatedAt' })
+  if (changes === 0) countStaleMessage(payload)
+
+  updateSystemFactions(payload)
+
+  // Players docked at a Fleet Carrier also tell us where the carrier is
+  if (message.Docked && message.MarketID && isFleetCarrier(message.StationName)) {
+    updateCarrierLocation(payload)
+  }
 }
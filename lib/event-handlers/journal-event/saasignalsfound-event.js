@@ -0,0 +1,103 @@
+const { bodiesDb } = require('../../db')
+const { upsert } = require('../../sql-helper')
+const { getSystemSector } = require('../../system-sectors')
+const { getGenusName, getSignalType } = require('../../body-signals')
+const { getEventTimestamp, countStaleMessage } = require('../../event-timestamp')
+
+const deleteBodySignals = bodiesDb.prepare(`
+  DELETE FROM body_signals WHERE systemAddress = @systemAddress AND bodyId = @bodyId
+`)
+
+const deleteBodyGenuses = bodiesDb.prepare(`
+  DELETE FROM body_genuses WHERE systemAddress = @systemAddress AND bodyId = @bodyId
+`)
+
+const deleteRingHotspots = bodiesDb.prepare(`
+  DELETE FROM ring_hotspots WHERE systemAddress = @systemAddress AND bodyId = @bodyId
+`)
+
+const selectBodyUpdatedAt = bodiesDb.prepare(`
+  SELECT MAX(updatedAt) AS updatedAt FROM body_signals WHERE systemAddress = @systemAddress AND bodyId = @bodyId
+`)
+
+module.exports = {
+  journalEvents: ['SAASignalsFound'],
+  handler
+}
+
+function handler (payload) {
+  const { message } = payload
+
+  if (!message?.SystemAddress) {
+    console.error('SAASignalsFound Event Missing System Address', message)
+    return
+  }
+
+  const systemAddress = message.SystemAddress
+  const bodyId = message.BodyID
+  const updatedAt = getEventTimestamp(payload)
+
+  const body = selectBodyUpdatedAt.get({ systemAddress, bodyId })
+  if (body?.updatedAt && body.updatedAt > updatedAt) {
+    countStaleMessage(payload)
+    return
+  }
+
+  // Each event lists all the signals and genuses on the body, so replace
+  // what we have for it
+  deleteBodySignals.run({ systemAddress, bodyId })
+  deleteBodyGenuses.run({ systemAddress, bodyId })
+  deleteRingHotspots.run({ systemAddress, bodyId })
+
+  for (const signal of message.Signals) {
+    const signalData = {
+      systemAddress,
+      bodyId,
+      signalType: getSignalType(signal.Type),
+      count: signal.Count,
+      updatedAt
+    }
+    upsert(bodiesDb, 'body_signals', signalData, ['systemAddress', 'bodyId', 'signalType'])
+  }
+
+  const [systemX, systemY, systemZ] = message.StarPos
+  const systemSector = getSystemSector(systemX, systemY, systemZ)
+
+  // Signals in rings are mining hotspots, named after the commodity (other
+  // signal types are sent as symbols, e.g. '$SAA_SignalType_Geological;')
+  if (message.BodyName.endsWith(' Ring')) {
+    for (const signal of message.Signals.filter(({ Type }) => !Type.startsWith('$'))) {
+      const hotspotData = {
+        systemAddress,
+        bodyId,
+        commodityName: getSignalType(signal.Type).toLowerCase(),
+        count: signal.Count,
+        ringName: message.BodyName,
+        systemName: message.StarSystem,
+        systemX,
+        systemY,
+        systemZ,
+        systemSector,
+        updatedAt
+      }
+      upsert(bodiesDb, 'ring_hotspots', hotspotData, ['systemAddress', 'bodyId', 'commodityName'])
+    }
+  }
+
+  for (const { Genus: genusSymbol } of message.Genuses ?? []) {
+    const genusData = {
+      systemAddress,
+      bodyId,
+      genus: getGenusName(genusSymbol),
+      genusSymbol,
+      bodyName: message.BodyName,
+      systemName: message.StarSystem,
+      systemX,
+      systemY,
+      systemZ,
+      systemSector,
+      updatedAt
+    }
+    upsert(bodiesDb, 'body_genuses', genusData, ['systemAddress', 'bodyId', 'genus'])
+  }
+}
@@ -0,0 +1,80 @@
+const { bodiesDb } = require('../../db')
+const { upsert } = require('../../sql-helper')
+const { getEventTimestamp, countStaleMessage } = require('../../event-timestamp')
+
+module.exports = {
+  journalEvents: ['Scan'],
+  handler
+}
+
+function handler (payload) {
+  const { message } = payload
+
+  if (!message?.SystemAddress) {
+    console.error('Scan Event Missing System Address', message)
+    return
+  }
+
+  // Only stars and planets are stored, not belt clusters (which are scanned
+  // like bodies, but have no star type or planet class)
+  const bodyType = message.StarType ? 'Star' : message.PlanetClass ? 'Planet' : null
+  if (!bodyType) return
+
+  // Values missing from the event are left as undefined so they are not
+  // written, as not all scans include every detail about a body
+  const bodyData = {
+    systemAddress: message.SystemAddress,
+    bodyId: message.BodyID,
+    bodyName: message.BodyName,
+    bodyType,
+    systemName: message.StarSystem,
+    systemX: message.StarPos?.[0] ?? null,
+    systemY: message.StarPos?.[1] ?? null,
+    systemZ: message.StarPos?.[2] ?? null,
+    distanceToArrival: message.DistanceFromArrivalLS,
+    parents: toJson(message.Parents),
+    starType: message.StarType,
+    subclass: message.Subclass,
+    luminosity: message.Luminosity,
+    stellarMass: message.StellarMass,
+    absoluteMagnitude: message.AbsoluteMagnitude,
+    ageMillionYears: message.Age_MY,
+    planetClass: message.PlanetClass,
+    landable: toInt(message.Landable),
+    terraformState: message.TerraformState,
+    atmosphere: message.Atmosphere,
+    atmosphereType: message.AtmosphereType,
+    atmosphereComposition: toJson(message.AtmosphereComposition),
+    volcanism: message.Volcanism,
+    massEM: message.MassEM,
+    radius: message.Radius,
+    surfaceGravity: message.SurfaceGravity,
+    surfaceTemperature: message.SurfaceTemperature,
+    surfacePressure: message.SurfacePressure,
+    composition: toJson(message.Composition),
+    materials: toJson(message.Materials),
+    rings: toJson(message.Rings),
+    reserveLevel: message.ReserveLevel,
+    semiMajorAxis: message.SemiMajorAxis,
+    eccentricity: message.Eccentricity,
+    orbitalInclination: message.OrbitalInclination,
+    orbitalPeriod: message.OrbitalPeriod,
+    rotationPeriod: message.RotationPeriod,
+    axialTilt: message.AxialTilt,
+    tidalLock: toInt(message.TidalLock),
+    wasDiscovered: toInt(message.WasDiscovered),
+    wasMapped: toInt(message.WasMapped),
+    updatedAt: getEventTimestamp(payload)
+  }
+
+  const { changes } = upsert(bodiesDb, 'bodies', bodyData, ['systemAddress', 'bodyId'], { onlyIfNewer: 'updatedAt' })
+  if (changes === 0) countStaleMessage(payload)
+}
+
+function toInt (value) {
+  return value === undefined ? undefined : (value ? 1 : 0)
+}
+
+function toJson (value) {
+  return value === undefined ? undefined : JSON.stringify(value)
+}
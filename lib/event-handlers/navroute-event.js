@@ -1,13 +1,20 @@
 const { systemsDb } = require('../db')
-const { insertOrReplaceInto } = require('../sql-helper')
+const { upsert } = require('../sql-helper')
 const { getSystemSector } = require('../system-sectors')
+const { getEventTimestamp } = require('../event-timestamp')
 
 const selectSystemByAddress = systemsDb.prepare(`
   SELECT * FROM systems WHERE systemAddress = @systemAddress
 `)
 
-module.exports = (payload) => {
+module.exports = {
+  schemaRefs: ['https://eddn.edcd.io/schemas/navroute/1'],
+  handler
+}
+
+function handler (payload) {
   const route = payload.message.Route
+  const updatedAt = getEventTimestamp(payload)
 
   route.forEach(system => {
     // Ignore systems submitted to without valid positions.
@@ -21,15 +28,15 @@ module.exports = (payload) => {
     const systemName = system.StarSystem
 
     if (!selectSystemByAddress.get({ systemAddress })) {
-      insertOrReplaceInto(systemsDb, 'systems', {
+      upsert(systemsDb, 'systems', {
         systemAddress,
         systemName,
         systemX: system.StarPos[0],
         systemY: system.StarPos[1],
         systemZ: system.StarPos[2],
         systemSector: getSystemSector(systemName),
-        updatedAt: new Date().toISOString()
-      })
+        updatedAt
+      }, ['systemAddress'])
     }
   })
 }
@@ -0,0 +1,11 @@
+const { outfittingDb } = require('../db')
+const { createMarketItemsHandler } = require('../market-items')
+
+module.exports = {
+  schemaRefs: ['https://eddn.edcd.io/schemas/outfitting/2'],
+  handler: createMarketItemsHandler(outfittingDb, {
+    table: 'modules',
+    symbolColumn: 'moduleSymbol',
+    getSymbols: message => message.modules
+  })
+}
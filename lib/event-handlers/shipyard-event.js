@@ -0,0 +1,11 @@
+const { shipyardDb } = require('../db')
+const { createMarketItemsHandler } = require('../market-items')
+
+module.exports = {
+  schemaRefs: ['https://eddn.edcd.io/schemas/shipyard/2'],
+  handler: createMarketItemsHandler(shipyardDb, {
+    table: 'ships',
+    symbolColumn: 'shipSymbol',
+    getSymbols: message => message.ships
+  })
+}
@@ -0,0 +1,33 @@
+const { incrementCounter } = require('./message-counters')
+
+// Returns the time an event happened in game (as an ISO 8601 string) so it can
+// be stored as `updatedAt` and compared against what is already in the
+// database. Messages are often uploaded long after the event (e.g. when an
+// uploader resends a backlog of journal entries) so the time a message is
+// received is not a reliable indication of how recent the data in it is.
+//
+// The timestamp in the message comes from the player's computer, so it is not
+// allowed to be later than the time the EDDN gateway received the message (or
+// the current time, if there is no gateway timestamp) to stop a client with a
+// clock set in the future from blocking later updates.
+function getEventTimestamp (payload) {
+  const gatewayTimestamp = new Date(payload?.header?.gatewayTimestamp ?? Date.now())
+  const eventTimestamp = new Date(payload?.message?.timestamp)
+
+  if (isNaN(eventTimestamp) || eventTimestamp > gatewayTimestamp) {
+    return (isNaN(gatewayTimestamp) ? new Date() : gatewayTimestamp).toISOString()
+  }
+
+  return eventTimestamp.toISOString()
+}
+
+// Record that a message was not written because the data in the database is
+// more recent than the message
+function countStaleMessage (payload) {
+  incrementCounter('stale', payload?.$schemaRef)
+}
+
+module.exports = {
+  getEventTimestamp,
+  countStaleMessage
+}
@@ -0,0 +1,156 @@
+const path = require('path')
+const { Worker } = require('worker_threads')
+const { EDDATA_PARSE_WORKERS } = require('./consts')
+const { replayForwardedCalls } = require('./utils/main-thread')
+
+// Runs the work of ingesting messages in worker threads, so the main thread
+// only passes messages between them and stays responsive for the HTTP API:
+//
+// * A pool of EDDATA_PARSE_WORKERS parse workers inflate, parse and validate
+//   messages (see lib/workers/parse-worker.js)
+// * A single writer worker makes all writes to the game databases, one at a
+//   time in the order they were sent (see lib/workers/writer-worker.js)
+//
+// If a worker exits unexpectedly, anything it was working on fails with an
+// error and it is replaced. If it is stopped by stopIngestWorkers() before it
+// has finished, anything it was working on is marked as cancelled instead.
+const WORKERS_DIR = path.join(__dirname, 'workers')
+
+let parseWorkers = []
+let writerWorker = null
+let nextRequestId = 0
+let stopping = false
+let restarts = 0
+let registeredHandlers = { schemas: {}, journalEvents: {} }
+
+function createWorker (fileName, name) {
+  const worker = new Worker(path.join(WORKERS_DIR, fileName), { name })
+  const workerState = { worker, pendingRequests: new Map() }
+
+  worker.on('message', ({ id, forwardedCalls, ...result }) => {
+    replayForwardedCalls(forwardedCalls)
+    if (result.registeredHandlers) registeredHandlers = result.registeredHandlers
+    const request = workerState.pendingRequests.get(id)
+    if (!request) return
+    workerState.pendingRequests.delete(id)
+    request(result)
+  })
+  worker.on('error', error => console.error(`Error in ${name} worker:`, error))
+  worker.on('exit', exitCode => {
+    for (const request of workerState.pendingRequests.values()) {
+      request({ error: { message: `${name} worker exited (code ${exitCode})` }, cancelled: stopping })
+    }
+    workerState.pendingRequests.clear()
+    if (stopping) return
+
+    console.error(`${name} worker exited unexpectedly (code ${exitCode}), restarting it`)
+    restarts++
+    const replacement = createWorker(fileName, name)
+    if (workerState === writerWorker) {
+      writerWorker = replacement
+    } else {
+      parseWorkers = parseWorkers.map(parseWorker => parseWorker === workerState ? replacement : parseWorker)
+    }
+  })
+
+  return workerState
+}
+
+// Resolves with the result of the task, which has an error property if it
+// failed (rather than rejecting, as results are passed on as they are)
+function sendRequest (workerState, request) {
+  return new Promise(resolve => {
+    const id = nextRequestId++
+    workerState.pendingRequests.set(id, resolve)
+    workerState.worker.postMessage({ id, ...request })
+  })
+}
+
+function startIngestWorkers () {
+  stopping = false
+  writerWorker = createWorker('writer-worker.js', 'Writer')
+  parseWorkers = Array.from({ length: EDDATA_PARSE_WORKERS }, (_, i) => createWorker('parse-worker.js', `Parse ${i + 1}`))
+}
+
+// Inflate, parse and validate a compressed message on whichever parse worker
+// has the least to do. Resolves with { payload, hash, validationErrors } or
+// { error }.
+function parseMessage (message) {
+  const parseWorker = parseWorkers.reduce((leastBusy, parseWorker) =>
+    parseWorker.pendingRequests.size < leastBusy.pendingRequests.size ? parseWorker : leastBusy)
+  return sendRequest(parseWorker, { message })
+}
+
+// Write a payload to the databases. Resolves once the writes have been
+// committed, with { error } if a handler failed (nothing is written for the
+// payload if so) or the batch it was in could not be committed, and also with
+// cancelled set if the writer was stopped before it was committed.
+function writePayload (payload) {
+  return sendRequest(writerWorker, { task: 'write', payload })
+}
+
+// Commit writes the writer is holding in an open batch
+function flushWrites () {
+  return sendRequest(writerWorker, { task: 'flush' })
+}
+
+// VACUUM a database (by name in lib/db, e.g. tradeDb) on the writer thread
+function vacuumDatabase (database) {
+  return sendRequest(writerWorker, { task: 'vacuum', database })
+}
+
+// Finish any writes already sent, commit them and close the writer's database
+// connections, then stop all workers. If the writer has not finished within
+// the timeout (e.g. it is part way through a VACUUM) it is stopped anyway, and
+// writes it has not committed are rolled back.
+async function stopIngestWorkers (timeoutInMs = Infinity) {
+  if (!writerWorker) return
+  stopping = true
+  let timeoutId
+  const closed = await Promise.race([
+    sendRequest(writerWorker, { task: 'close' }).then(() => true),
+    new Promise(resolve => { if (Number.isFinite(timeoutInMs)) timeoutId = setTimeout(() => resolve(false), timeoutInMs) })
+  ])
+  clearTimeout(timeoutId)
+  if (!closed) {
+    // Don't wait for the writer to stop, it may be blocked until whatever it
+    // is doing in SQLite has finished
+    console.warn(`Timed out waiting for the writer to finish, ${writerWorker.pendingRequests.size} writes not completed`)
+    for (const request of writerWorker.pendingRequests.values()) {
+      request({ error: { message: 'Writer worker stopped' }, cancelled: true })
+    }
+    writerWorker.pendingRequests.clear()
+    writerWorker.worker.terminate()
+  }
+  await Promise.all(parseWorkers.map(({ worker }) => worker.terminate()))
+  if (closed) await writerWorker.worker.terminate()
+  writerWorker = null
+  parseWorkers = []
+}
+
+// Worker state for /health
+function getIngestWorkersState () {
+  return {
+    parseWorkers: parseWorkers.length,
+    pendingParses: parseWorkers.reduce((total, parseWorker) => total + parseWorker.pendingRequests.size, 0),
+    pendingWrites: writerWorker?.pendingRequests.size ?? 0,
+    restarts
+  }
+}
+
+// Schemas and journal events the writer has handlers registered for, see
+// getRegisteredHandlers() in lib/event-handlers/index.js
+function getRegisteredHandlers () {
+  return registeredHandlers
+}
+
+module.exports = {
+  startIngestWorkers,
+  parseMessage,
+  writePayload,
+  flushWrites,
+  vacuumDatabase,
+  stopIngestWorkers,
+  getIngestWorkersState,
+  getRegisteredHandlers
+}
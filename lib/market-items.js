@@ -0,0 +1,54 @@
+const { upsert } = require('./sql-helper')
+const { getEventTimestamp, countStaleMessage } = require('./event-timestamp')
+
+// Returns a handler for messages listing the items (modules or ships) sold at
+// a market, for a database created by lib/db/market-items-db.js. getSymbols
+// returns the symbols of the items listed in a message.
+//
+// Symbols are sent as they appear in the journal, where the case is not
+// consistent (e.g. 'Hpt_' and 'hpt_', or 'SideWinder' and 'sidewinder'), so
+// they are stored in lower case.
+function createMarketItemsHandler (db, { table, symbolColumn, getSymbols }) {
+  const deleteMarketData = db.prepare(`
+    DELETE FROM ${table} WHERE marketId = @marketId
+  `)
+
+  const selectMarketUpdatedAt = db.prepare(`
+    SELECT MAX(updatedAt) AS updatedAt FROM ${table} WHERE marketId = @marketId
+  `)
+
+  return function handler (payload) {
+    const marketId = payload.message.marketId
+    const isFleetCarrier = payload.message.stationName.match('^[A-Z0-9]{3}-[A-Z0-9]{3}$')
+    const updatedAt = getEventTimestamp(payload)
+    const updatedAtDay = updatedAt.split('T')[0]
+
+    // Ignore data that is older than the data we already have for this
+    // market, as it may list items that are no longer sold there.
+    const market = selectMarketUpdatedAt.get({ marketId })
+    if (market?.updatedAt && market.updatedAt > updatedAt) {
+      countStaleMessage(payload)
+      return
+    }
+
+    if (isFleetCarrier) {
+      // As Fleet Carriers move around and can change at any time,
+      // delete old data for them when new data comes in.
+      deleteMarketData.run({ marketId })
+    }
+
+    for (const symbol of new Set(getSymbols(payload.message).map(symbol => symbol.toLowerCase()))) {
+      const newItem = {
+        [symbolColumn]: symbol,
+        marketId,
+        updatedAt,
+        updatedAtDay
+      }
+      upsert(db, table, newItem, [symbolColumn, 'marketId'], { onlyIfNewer: 'updatedAt' })
+    }
+  }
+}
+
+module.exports = {
+  createMarketItemsHandler
+}
@@ -0,0 +1,179 @@
+const path = require('path')
+const fs = require('fs')
+const zlib = require('zlib')
+const {
+  EDDATA_ARCHIVE_DIR,
+  EDDATA_ARCHIVE_ROTATION,
+  EDDATA_ARCHIVE_MAX_AGE_DAYS,
+  EDDATA_ARCHIVE_MAX_SIZE_MB
+} = require('./consts')
+
+// Every accepted EDDN payload is written as one line of NDJSON to a gzipped
+// file per hour or per day (depending on EDDATA_ARCHIVE_ROTATION), e.g.
+//
+//   eddn-2025-11-20.ndjson.gz      (daily)
+//   eddn-2025-11-20T14.ndjson.gz   (hourly)
+//
+// Each line is an object with the time the message was received and the
+// original payload (including the header) as it arrived from EDDN:
+//
+//   {"receivedAt":"2025-11-20T14:01:02.345Z","payload":{"$schemaRef":…}}
+//
+// Lines are buffered in memory and appended to the file as a new gzip member
+// when the buffer is full, on a timer and on rotation. Files made up of
+// multiple gzip members are valid gzip files and can be read with zcat,
+// `zlib.createGunzip()` and other standard tools.
+//
+// A manifest.json in the archive directory lists each file with the number of
+// messages it contains and the range of receive times it covers.
+
+const ARCHIVE_FLUSH_MAX_LINES = 1000
+const ARCHIVE_FLUSH_INTERVAL_IN_MS = 30 * 1000
+const ARCHIVE_FILE_PREFIX = 'eddn-'
+const ARCHIVE_FILE_EXTENSION = '.ndjson.gz'
+const PATH_TO_MANIFEST = path.join(EDDATA_ARCHIVE_DIR, 'manifest.json')
+
+let manifest = null
+let currentPeriod = null
+let bufferedLines = []
+let bufferedFirstReceivedAt = null
+let bufferedLastReceivedAt = null
+let flushInterval = null
+
+function getArchivePeriod (date) {
+  const isoString = date.toISOString()
+  return EDDATA_ARCHIVE_ROTATION === 'hourly'
+    ? isoString.substring(0, 13) // YYYY-MM-DDTHH
+    : isoString.substring(0, 10) // YYYY-MM-DD
+}
+
+function getArchiveFileName (period) {
+  return `${ARCHIVE_FILE_PREFIX}${period}${ARCHIVE_FILE_EXTENSION}`
+}
+
+function loadManifest () {
+  if (fs.existsSync(PATH_TO_MANIFEST)) {
+    try {
+      return JSON.parse(fs.readFileSync(PATH_TO_MANIFEST))
+    } catch (error) {
+      console.error('Could not read archive manifest, creating a new one:', error.message)
+    }
+  }
+  return { files: {}, timestamp: null }
+}
+
+function saveManifest () {
+  manifest.timestamp = new Date().toISOString()
+  fs.writeFileSync(`${PATH_TO_MANIFEST}.tmp`, JSON.stringify(manifest, null, 2))
+  fs.renameSync(`${PATH_TO_MANIFEST}.tmp`, PATH_TO_MANIFEST)
+}
+
+function openMessageArchive () {
+  if (manifest) return
+  if (!fs.existsSync(EDDATA_ARCHIVE_DIR)) fs.mkdirSync(EDDATA_ARCHIVE_DIR, { recursive: true })
+
+  manifest = loadManifest()
+  applyRetentionLimits()
+
+  flushInterval = setInterval(flushMessageArchive, ARCHIVE_FLUSH_INTERVAL_IN_MS)
+  flushInterval.unref()
+
+  console.log(`Archiving EDDN messages to ${EDDATA_ARCHIVE_DIR} (${EDDATA_ARCHIVE_ROTATION})`)
+}
+
+function archiveMessage (payload, receivedAt = new Date()) {
+  if (!manifest) openMessageArchive()
+
+  const period = getArchivePeriod(receivedAt)
+  if (currentPeriod !== null && period !== currentPeriod) {
+    flushMessageArchive()
+    applyRetentionLimits()
+  }
+  currentPeriod = period
+
+  const receivedAtISOString = receivedAt.toISOString()
+  bufferedLines.push(JSON.stringify({ receivedAt: receivedAtISOString, payload }))
+  if (!bufferedFirstReceivedAt) bufferedFirstReceivedAt = receivedAtISOString
+  bufferedLastReceivedAt = receivedAtISOString
+
+  if (bufferedLines.length >= ARCHIVE_FLUSH_MAX_LINES) flushMessageArchive()
+}
+
+function flushMessageArchive () {
+  if (!manifest || bufferedLines.length === 0) return
+
+  const fileName = getArchiveFileName(currentPeriod)
+  const pathToFile = path.join(EDDATA_ARCHIVE_DIR, fileName)
+
+  try {
+    fs.appendFileSync(pathToFile, zlib.gzipSync(`${bufferedLines.join('\n')}\n`))
+
+    const entry = manifest.files[fileName] ?? {
+      name: fileName,
+      period: currentPeriod,
+      messages: 0,
+      firstReceivedAt: bufferedFirstReceivedAt
+    }
+    entry.messages += bufferedLines.length
+    entry.lastReceivedAt = bufferedLastReceivedAt
+    entry.size = fs.statSync(pathToFile).size
+    manifest.files[fileName] = entry
+    saveManifest()
+  } catch (error) {
+    console.error(`Failed to write to message archive ${fileName}:`, error.message)
+  }
+
+  bufferedLines = []
+  bufferedFirstReceivedAt = null
+  bufferedLastReceivedAt = null
+}
+
+// Delete archive files older than EDDATA_ARCHIVE_MAX_AGE_DAYS and then, if the
+// archive is still larger than EDDATA_ARCHIVE_MAX_SIZE_MB, the oldest files
+// until it is not. The file currently being written to is never deleted.
+function applyRetentionLimits () {
+  const currentFileName = currentPeriod ? getArchiveFileName(currentPeriod) : null
+  const files = fs.readdirSync(EDDATA_ARCHIVE_DIR)
+    .filter(name => name.startsWith(ARCHIVE_FILE_PREFIX) && name.endsWith(ARCHIVE_FILE_EXTENSION))
+    .sort()
+    .map(name => ({ name, size: fs.statSync(path.join(EDDATA_ARCHIVE_DIR, name)).size }))
+
+  const oldestPeriodToKeep = getArchivePeriod(new Date(Date.now() - EDDATA_ARCHIVE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000))
+  const maxSizeInBytes = EDDATA_ARCHIVE_MAX_SIZE_MB * 1024 * 1024
+  let totalSize = files.reduce((sum, file) => sum + file.size, 0)
+
+  for (const file of files) {
+    if (file.name === currentFileName) continue
+
+    const period = file.name.slice(ARCHIVE_FILE_PREFIX.length, -ARCHIVE_FILE_EXTENSION.length)
+    const tooOld = EDDATA_ARCHIVE_MAX_AGE_DAYS > 0 && period < oldestPeriodToKeep
+    const tooBig = maxSizeInBytes > 0 && totalSize > maxSizeInBytes
+    if (!tooOld && !tooBig) continue
+
+    fs.rmSync(path.join(EDDATA_ARCHIVE_DIR, file.name), { force: true })
+    delete manifest.files[file.name]
+    totalSize -= file.size
+    console.log(`Removed archive file ${file.name} (retention limit)`)
+  }
+
+  // Drop manifest entries for files that have been removed by other means
+  for (const fileName of Object.keys(manifest.files)) {
+    if (!fs.existsSync(path.join(EDDATA_ARCHIVE_DIR, fileName))) delete manifest.files[fileName]
+  }
+
+  saveManifest()
+}
+
+function closeMessageArchive () {
+  if (!manifest) return
+  flushMessageArchive()
+  clearInterval(flushInterval)
+  manifest = null
+  currentPeriod = null
+}
+
+module.exports = {
+  archiveMessage,
+  flushMessageArchive,
+  closeMessageArchive
+}
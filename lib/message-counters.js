@@ -0,0 +1,44 @@
+// Counts of messages that were received but not (fully) written to the
+// database, by reason and by schema (and, if known, by the software that sent
+// them), e.g.
+//
+//   {
+//     rejected: {
+//       total: 3,
+//       schemas: { 'https://eddn.edcd.io/schemas/commodity/3': 3 },
+//       software: { 'E:D Market Connector [Windows]': 3 }
+//     }
+//   }
+//
+// Counts are held in memory and reset when the process restarts. They are also
+// exported to Prometheus as eddata_messages_dropped_total (see lib/metrics.js).
+const { countMessageDropped } = require('./metrics')
+const { forwardToMainThread } = require('./utils/main-thread')
+
+const counters = {}
+
+function incrementCounter (name, schema = 'SCHEMA_UNDEFINED', software = null) {
+  if (forwardToMainThread('message-counters', 'incrementCounter', [name, schema, software])) return
+  if (!counters[name]) counters[name] = { total: 0, schemas: {} }
+  counters[name].total++
+  counters[name].schemas[schema] = (counters[name].schemas[schema] ?? 0) + 1
+  if (software) {
+    if (!counters[name].software) counters[name].software = {}
+    counters[name].software[software] = (counters[name].software[software] ?? 0) + 1
+  }
+  countMessageDropped(name, schema)
+}
+
+function getCounter (name) {
+  return counters[name] ?? { total: 0, schemas: {} }
+}
+
+function getCounters () {
+  return counters
+}
+
+module.exports = {
+  incrementCounter,
+  getCounter,
+  getCounters
+}
@@ -0,0 +1,105 @@
+const { createHash } = require('node:crypto')
+const {
+  EDDATA_DEDUP_WINDOW_SECONDS,
+  EDDATA_DEDUP_SCHEMA_WINDOWS,
+  EDDATA_DEDUP_MAX_ENTRIES
+} = require('./consts')
+const { incrementCounter } = require('./message-counters')
+
+const EDDN_SCHEMA_BASE_URL = 'https://eddn.edcd.io/schemas/'
+
+// Remove expired entries after this many messages, so memory is freed even if
+// the cache never reaches EDDATA_DEDUP_MAX_ENTRIES
+const DEDUP_EXPIRE_INTERVAL = 1000
+
+// Duplicates are detected by hashing the schema and the message body, which is
+// normalised so that the order of keys does not matter. The header is ignored,
+// as it differs depending on the software that uploaded the message and on
+// when it arrived at the EDDN gateway, even if the message is the same.
+//
+// Recently seen hashes are kept in a Map in the order they were last seen (the
+// least recently seen first) with the time they expire.
+const recentMessages = new Map()
+const schemaWindows = parseSchemaWindows(EDDATA_DEDUP_SCHEMA_WINDOWS)
+let messagesSinceExpire = 0
+
+// Parse "commodity/3=60,navroute/1=3600" into windows in ms by schema URL
+function parseSchemaWindows (value) {
+  const windows = {}
+  for (const item of value.split(',')) {
+    const [schema, seconds] = item.split('=').map(part => part.trim())
+    if (!schema || isNaN(parseInt(seconds))) continue
+    const schemaRef = schema.startsWith(EDDN_SCHEMA_BASE_URL) ? schema : `${EDDN_SCHEMA_BASE_URL}${schema}`
+    windows[schemaRef] = parseInt(seconds) * 1000
+  }
+  return windows
+}
+
+function getDedupWindow (schema) {
+  return schemaWindows[schema] ?? EDDATA_DEDUP_WINDOW_SECONDS * 1000
+}
+
+// JSON.stringify with object keys sorted, so the same content always produces
+// the same string
+function normalise (value) {
+  if (Array.isArray(value)) return `[${value.map(normalise).join(',')}]`
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${normalise(value[key])}`).join(',')}}`
+  }
+  return JSON.stringify(value) ?? 'null'
+}
+
+function getMessageHash (payload) {
+  return createHash('sha1')
+    .update(`${payload?.$schemaRef}\n${normalise(payload?.message)}`)
+    .digest('hex')
+}
+
+// Returns true if a message with the same content was seen within the dedup
+// window for its schema (counting it as a duplicate), otherwise remembers the
+// message and returns false. The hash can be passed in if it has already been
+// worked out (e.g. by a parse worker).
+function isDuplicateMessage (payload, receivedAt = new Date(), hash = getMessageHash(payload)) {
+  const schema = payload?.$schemaRef ?? 'SCHEMA_UNDEFINED'
+  const window = getDedupWindow(schema)
+  if (window <= 0) return false
+
+  const now = receivedAt.getTime()
+  const expiresAt = recentMessages.get(hash)
+
+  if (expiresAt !== undefined && expiresAt > now) {
+    // Move to the end so it is the last to be evicted, but don't extend the
+    // window, so a message that keeps being resent is accepted again once
+    // the window has passed since it was first accepted.
+    recentMessages.delete(hash)
+    recentMessages.set(hash, expiresAt)
+    incrementCounter('duplicate', schema)
+    return true
+  }
+
+  recentMessages.delete(hash)
+  recentMessages.set(hash, now + window)
+
+  if (recentMessages.size > EDDATA_DEDUP_MAX_ENTRIES) {
+    recentMessages.delete(recentMessages.keys().next().value)
+  }
+
+  if (++messagesSinceExpire >= DEDUP_EXPIRE_INTERVAL) {
+    messagesSinceExpire = 0
+    for (const [key, value] of recentMessages) {
+      if (value <= now) recentMessages.delete(key)
+    }
+  }
+
+  return false
+}
+
+function getDedupCacheSize () {
+  return recentMessages.size
+}
+
+module.exports = {
+  getMessageHash,
+  isDuplicateMessage,
+  getDedupCacheSize
+}
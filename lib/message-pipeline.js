@@ -0,0 +1,275 @@
+const {
+  EDDATA_PIPELINE_CONCURRENCY,
+  EDDATA_PIPELINE_MAX_MESSAGES,
+  EDDATA_PIPELINE_TIMEOUT_MS
+} = require('./consts')
+const { countMessageDropped } = require('./metrics')
+const { parseMessage } = require('./ingest-workers')
+const { getTarget } = require('./uploader-throttle')
+
+// Takes compressed EDDN messages, has them parsed by the parse workers and
+// passes the payloads to a handler, keeping messages about the same target
+// (the market, body or system a message is about, see getTarget() in
+// lib/uploader-throttle.js) in the order they were received.
+//
+// Up to EDDATA_PIPELINE_CONCURRENCY messages are sent to the parse workers at a
+// time. A message that has been parsed is handled once every message received
+// before it about the same target has been handled. As the target of a message
+// is not known until it has been parsed, it also waits for any messages
+// received before it that are still being parsed. Messages with no target
+// (e.g. navroute) are handled as soon as they have been parsed. The handler may
+// return a promise (e.g. for the message being written), the message stays in
+// the pipeline, and later messages about the same target wait, until it
+// resolves. If it resolves with false once the pipeline has been stopped,
+// handling was cancelled (e.g. the writer was stopped before it got to the
+// message) and the message is treated as unprocessed.
+//
+// At most EDDATA_PIPELINE_MAX_MESSAGES messages can be in the pipeline. Once it
+// is full, waitForCapacity() does not resolve until there is space again, so
+// the caller can stop reading from the socket (ZeroMQ then buffers, and past
+// its high water mark drops, messages) rather than using ever more memory.
+//
+// A message that has not been parsed and handled within
+// EDDATA_PIPELINE_TIMEOUT_MS of being sent to a parse worker is given up on,
+// so one stuck message can not hold up the messages received after it. A
+// write that is given up on is not cancelled (the writer may still make it),
+// the pipeline just stops waiting for it.
+let handlePayload = null
+let stopped = false
+let unprocessedMessages = [] // Not handled (or handling was cancelled) before the pipeline was stopped
+
+const waitingMessages = [] // Waiting to be parsed
+const parsingMessages = new Set() // Sent to a parse worker, in the order they were received
+const readyMessages = [] // Parsed, waiting for their turn, in the order they were received
+const handlingMessages = new Map() // Passed to the handler and not yet resolved, by target
+let nextSequence = 0
+let completedMessages = 0
+let capacityWaiters = []
+let idleWaiters = []
+
+const pipelineStats = {
+  timedOut: 0,
+  invalid: 0,
+  backpressureWaits: 0
+}
+
+function startMessagePipeline (payloadHandler) {
+  handlePayload = payloadHandler
+}
+
+// Number of messages that have been added but not yet handled
+function getPipelineSize () {
+  return nextSequence - completedMessages
+}
+
+// Add a compressed message to the pipeline, resolves with true once it has
+// been handled (or discarded) or with false if the pipeline was stopped before
+// it could be. Callers reading from the socket should wait for
+// waitForCapacity() first. Messages from the spool are marked as such, so they
+// are not spooled again if the pipeline is stopped before they are handled.
+function addMessage (message, receivedAt = new Date(), { spooled = false } = {}) {
+  return new Promise(resolve => {
+    waitingMessages.push({ sequence: nextSequence++, message, receivedAt, spooled, resolve, state: 'waiting', parsed: null, target: null, done: false })
+    parseWaitingMessages()
+  })
+}
+
+// Resolves once there is space in the pipeline for another message
+function waitForCapacity () {
+  if (getPipelineSize() < EDDATA_PIPELINE_MAX_MESSAGES) return Promise.resolve()
+  pipelineStats.backpressureWaits++
+  if (pipelineStats.backpressureWaits % 100 === 1) {
+    console.warn(`Message pipeline is full (${getPipelineSize()} messages), waiting before reading more from EDDN`)
+  }
+  return new Promise(resolve => capacityWaiters.push(resolve))
+}
+
+// Resolves with true once every message added so far has been handled, or
+// with false if that takes longer than the timeout
+function waitForIdle (timeoutInMs = Infinity) {
+  if (getPipelineSize() === 0) return Promise.resolve(true)
+  return new Promise(resolve => {
+    const timeoutId = Number.isFinite(timeoutInMs) ? setTimeout(() => resolve(false), timeoutInMs) : null
+    idleWaiters.push(() => {
+      clearTimeout(timeoutId)
+      resolve(true)
+    })
+  })
+}
+
+// Stop passing messages to the handler (e.g. when shutting down). Messages
+// that have not been passed to it yet are kept to be returned by
+// takeUnprocessedMessages().
+function stopMessagePipeline () {
+  stopped = true
+  const unhandledMessages = [...parsingMessages, ...readyMessages, ...waitingMessages]
+  for (const entry of unhandledMessages) {
+    clearTimeout(entry.timeoutId)
+    entry.done = true
+    entry.resolve(false)
+  }
+  unprocessedMessages.push(...unhandledMessages)
+  parsingMessages.clear()
+  readyMessages.length = 0
+  waitingMessages.length = 0
+}
+
+// Messages that were not processed because the pipeline was stopped, in the
+// order they were received, so they can be spooled
+function takeUnprocessedMessages () {
+  const messages = unprocessedMessages
+    .sort((a, b) => a.sequence - b.sequence)
+    .map(({ message, receivedAt, spooled }) => ({ message, receivedAt, spooled }))
+  unprocessedMessages = []
+  return messages
+}
+
+function parseWaitingMessages () {
+  if (stopped) return
+  while (parsingMessages.size < EDDATA_PIPELINE_CONCURRENCY && waitingMessages.length > 0) {
+    const entry = waitingMessages.shift()
+    entry.state = 'parsing'
+    parsingMessages.add(entry)
+    entry.timeoutId = setTimeout(() => giveUp(entry), EDDATA_PIPELINE_TIMEOUT_MS)
+
+    parseMessage(entry.message).then(parsed => {
+      if (entry.done) return
+      parsingMessages.delete(entry)
+
+      if (parsed.error) {
+        pipelineStats.invalid++
+        countMessageDropped('invalid', null)
+        console.error('Failed to read message:', parsed.error.message)
+        completeMessage(entry)
+      } else {
+        entry.parsed = parsed
+        entry.target = getTarget(parsed.payload)
+        addReadyMessage(entry)
+      }
+
+      handleReadyMessages()
+    })
+  }
+}
+
+// Parsing usually finishes in about the order messages were received, so
+// search from the end for where the message goes
+function addReadyMessage (entry) {
+  entry.state = 'ready'
+  let i = readyMessages.length
+  while (i > 0 && readyMessages[i - 1].sequence > entry.sequence) i--
+  readyMessages.splice(i, 0, entry)
+}
+
+// Once the pipeline has been stopped, messages still being handled are left
+// to finish (or be cancelled, and spooled) rather than given up on
+function giveUp (entry) {
+  if (entry.done || stopped) return
+  if (entry.state === 'parsing') parsingMessages.delete(entry)
+  if (entry.state === 'ready') readyMessages.splice(readyMessages.indexOf(entry), 1)
+  if (entry.state === 'handling' && handlingMessages.get(entry.target) === entry) handlingMessages.delete(entry.target)
+  pipelineStats.timedOut++
+  countMessageDropped('timeout', entry.parsed?.payload?.$schemaRef ?? null)
+  console.warn(`Gave up on message ${entry.sequence} after ${EDDATA_PIPELINE_TIMEOUT_MS}ms`)
+  completeMessage(entry)
+  handleReadyMessages()
+}
+
+function handleReadyMessages () {
+  if (stopped) return
+
+  // Messages about a target that is already being handled, or that was the
+  // target of a message before this one that is still waiting, have to wait
+  const oldestParsing = parsingMessages.values().next().value?.sequence ?? Infinity
+  const blockedTargets = new Set(handlingMessages.keys())
+  const messagesToHandle = []
+  for (const entry of readyMessages) {
+    if (entry.target === null) {
+      messagesToHandle.push(entry)
+    } else if (entry.sequence > oldestParsing || blockedTargets.has(entry.target)) {
+      blockedTargets.add(entry.target)
+    } else {
+      blockedTargets.add(entry.target)
+      messagesToHandle.push(entry)
+    }
+  }
+
+  for (const entry of messagesToHandle) {
+    readyMessages.splice(readyMessages.indexOf(entry), 1)
+    handleMessage(entry)
+  }
+
+  parseWaitingMessages()
+}
+
+function handleMessage (entry) {
+  entry.state = 'handling'
+  if (entry.target !== null) handlingMessages.set(entry.target, entry)
+
+  let handled = null
+  try {
+    const { payload, ...parsed } = entry.parsed
+    handled = handlePayload(payload, entry.receivedAt, parsed)
+  } catch (error) {
+    console.error('Message processing error:', error.message)
+  }
+
+  Promise.resolve(handled)
+    .catch(error => console.error('Message processing error:', error.message))
+    .then(result => {
+      if (entry.done) return // Given up on
+      if (handlingMessages.get(entry.target) === entry) handlingMessages.delete(entry.target)
+      if (result === false && stopped) {
+        clearTimeout(entry.timeoutId)
+        entry.done = true
+        unprocessedMessages.push(entry)
+        entry.resolve(false)
+      } else {
+        completeMessage(entry)
+        handleReadyMessages()
+      }
+    })
+}
+
+function completeMessage (entry) {
+  clearTimeout(entry.timeoutId)
+  entry.done = true
+  completedMessages++
+  entry.resolve(true)
+
+  if (capacityWaiters.length > 0 && getPipelineSize() < EDDATA_PIPELINE_MAX_MESSAGES) {
+    const waiters = capacityWaiters
+    capacityWaiters = []
+    for (const resolve of waiters) resolve()
+  }
+  if (idleWaiters.length > 0 && getPipelineSize() === 0) {
+    const waiters = idleWaiters
+    idleWaiters = []
+    for (const resolve of waiters) resolve()
+  }
+}
+
+// Pipeline state for /health
+function getPipelineState () {
+  return {
+    messages: getPipelineSize(),
+    parsing: parsingMessages.size,
+    waiting: waitingMessages.length,
+    ready: readyMessages.length,
+    handling: handlingMessages.size,
+    maxMessages: EDDATA_PIPELINE_MAX_MESSAGES,
+    concurrency: EDDATA_PIPELINE_CONCURRENCY,
+    ...pipelineStats
+  }
+}
+
+module.exports = {
+  startMessagePipeline,
+  stopMessagePipeline,
+  takeUnprocessedMessages,
+  addMessage,
+  waitForCapacity,
+  waitForIdle,
+  getPipelineSize,
+  getPipelineState
+}
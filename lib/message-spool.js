@@ -0,0 +1,119 @@
+const { collectorDb } = require('./db')
+const { EDDATA_SPOOL_MAX_MESSAGES } = require('./consts')
+const { countMessageDropped } = require('./metrics')
+
+// Number of messages read from the spool and processed between checkpoints
+const SPOOL_DRAIN_BATCH_SIZE = 500
+
+const insertMessage = collectorDb.prepare(`
+  INSERT INTO spool (message, receivedAt) VALUES (@message, @receivedAt)
+`)
+
+const selectMessages = collectorDb.prepare(`
+  SELECT id, message, receivedAt FROM spool ORDER BY id ASC LIMIT @limit
+`)
+
+const deleteMessagesUpTo = collectorDb.prepare(`
+  DELETE FROM spool WHERE id <= @id
+`)
+
+// Keep a count in memory so checking if there is a backlog is cheap enough to
+// do for every incoming message. Anything left over from a previous run (e.g.
+// after a crash or a restart during maintenance) is picked up here.
+let pendingMessages = collectorDb.prepare('SELECT COUNT(*) AS count FROM spool').get().count
+let droppedMessages = 0
+let draining = false
+
+function spoolMessage (message, receivedAt = new Date()) {
+  if (pendingMessages >= EDDATA_SPOOL_MAX_MESSAGES) {
+    droppedMessages++
+    countMessageDropped('spool_full', null) // The message is still compressed, so the schema is not known
+    if (droppedMessages % 1000 === 1) {
+      console.warn(`Spool is full (${pendingMessages} messages), dropped ${droppedMessages} messages`)
+    }
+    return false
+  }
+
+  insertMessage.run({ message, receivedAt: receivedAt.toISOString() })
+  pendingMessages++
+  if (pendingMessages % 1000 === 0) {
+    console.log(`Spooled ${pendingMessages} messages`)
+  }
+  return true
+}
+
+function getSpoolSize () {
+  return pendingMessages
+}
+
+function isSpoolDraining () {
+  return draining
+}
+
+// Process spooled messages in the order they were received. The messages in
+// each batch are passed to processMessage() without waiting for the one before
+// to be processed (as a write is only processed once it has been committed,
+// which may be up to EDDATA_WRITE_BATCH_WINDOW_MS later), so it must keep them
+// in order itself where that matters. Each batch is removed from the spool only
+// once every message in it has been processed, so if the process stops part
+// way through at most one batch is re-processed on the next run. Draining stops
+// early if shouldStop() returns true (e.g. writing has been suspended again, or
+// the Collector is stopping) and picks up where it left off next time. If
+// processMessage() resolves with false the message was not processed, so
+// draining stops and it is left in the spool, along with any after it.
+async function drainSpool (processMessage, shouldStop = () => false) {
+  if (draining) return 0
+  draining = true
+
+  let drainedMessages = 0
+  try {
+    if (pendingMessages > 0) console.log(`Processing ${pendingMessages} spooled messages…`)
+
+    while (!shouldStop()) {
+      const batch = selectMessages.all({ limit: SPOOL_DRAIN_BATCH_SIZE })
+      if (batch.length === 0) break
+
+      const processing = []
+      for (const { id, message, receivedAt } of batch) {
+        if (shouldStop()) break
+        const result = Promise.resolve()
+          .then(() => processMessage(message, new Date(receivedAt)))
+          .catch(error => console.error('Error processing spooled message:', error.message))
+        processing.push({ id, result })
+      }
+
+      let lastProcessedId = null
+      let processed = processing.length === batch.length
+      for (const { id, result } of processing) {
+        if (await result === false) {
+          processed = false
+          break
+        }
+        lastProcessedId = id
+        drainedMessages++
+      }
+      if (lastProcessedId !== null) {
+        const { changes } = deleteMessagesUpTo.run({ id: lastProcessedId })
+        pendingMessages = Math.max(pendingMessages - changes, 0)
+      }
+      if (!processed || lastProcessedId === null) break
+
+      // Yield so incoming messages can be spooled while we work through the
+      // backlog
+      await new Promise(setImmediate)
+    }
+
+    if (drainedMessages > 0) console.log(`Processed ${drainedMessages} spooled messages (${pendingMessages} remaining)`)
+  } finally {
+    draining = false
+  }
+
+  return drainedMessages
+}
+
+module.exports = {
+  spoolMessage,
+  getSpoolSize,
+  isSpoolDraining,
+  drainSpool
+}
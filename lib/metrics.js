@@ -0,0 +1,188 @@
+const path = require('path')
+const fs = require('fs')
+const client = require('prom-client')
+const {
+  EDDATA_DATA_DIR,
+  EDDATA_DATABASE_STATS,
+  EDDATA_SYSTEMS_DB,
+  EDDATA_LOCATIONS_DB,
+  EDDATA_STATIONS_DB,
+  EDDATA_TRADE_DB,
+  EDDATA_OUTFITTING_DB,
+  EDDATA_SHIPYARD_DB,
+  EDDATA_BODIES_DB,
+  EDDATA_FACTIONS_DB,
+  EDDATA_COLLECTOR_DB
+} = require('./consts')
+const { forwardToMainThread } = require('./utils/main-thread')
+
+// Prometheus metrics for the Collector, served at /metrics.
+//
+// Counters and histograms are updated as messages are processed. Gauges are
+// read when metrics are scraped; the modules they read from are required when
+// needed rather than up front, as several of them record metrics themselves.
+// Durations recorded by the writer thread are forwarded to the main thread.
+const EDDN_SCHEMA_BASE_URL = 'https://eddn.edcd.io/schemas/'
+
+const register = new client.Registry()
+client.collectDefaultMetrics({ register })
+
+// Use short schema names (e.g. commodity/3) for labels
+function getSchemaLabel (schema) {
+  return (schema ?? 'SCHEMA_UNDEFINED').replace(EDDN_SCHEMA_BASE_URL, '')
+}
+
+const messagesReceived = new client.Counter({
+  name: 'eddata_messages_received_total',
+  help: 'EDDN messages received, by schema',
+  labelNames: ['schema'],
+  registers: [register]
+})
+
+const messagesProcessed = new client.Counter({
+  name: 'eddata_messages_processed_total',
+  help: 'EDDN messages processed by the event handlers without error, by schema',
+  labelNames: ['schema'],
+  registers: [register]
+})
+
+const messagesDropped = new client.Counter({
+  name: 'eddata_messages_dropped_total',
+  help: 'EDDN messages not (fully) written, by schema and reason (e.g. duplicate, stale, rejected, failed, throttled, timeout)',
+  labelNames: ['schema', 'reason'],
+  registers: [register]
+})
+
+const eddnLag = new client.Histogram({
+  name: 'eddata_eddn_lag_seconds',
+  help: 'Time between a message arriving at the EDDN gateway and being processed, by schema',
+  labelNames: ['schema'],
+  buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300, 900, 3600],
+  registers: [register]
+})
+
+const handlerDuration = new client.Histogram({
+  name: 'eddata_handler_duration_seconds',
+  help: 'Time taken by each event handler to process a message',
+  labelNames: ['handler'],
+  buckets: [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1],
+  registers: [register]
+})
+
+const databaseWriteDuration = new client.Histogram({
+  name: 'eddata_database_write_duration_seconds',
+  help: 'Time taken to write a message to the databases (message) and to commit batched writes (batch_commit)',
+  labelNames: ['operation'],
+  buckets: [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  registers: [register]
+})
+
+function gauge (name, help, collect, labelNames = []) {
+  return new client.Gauge({ name, help, labelNames, collect, registers: [register] })
+}
+
+gauge('eddata_spool_messages', 'Messages spooled to disk waiting to be processed', function () {
+  this.set(require('./message-spool').getSpoolSize())
+})
+
+gauge('eddata_pipeline_messages', 'Messages being parsed or waiting to be handled', function () {
+  this.set(require('./message-pipeline').getPipelineSize())
+})
+
+gauge('eddata_dead_letters', 'Messages that failed to be processed waiting to be retried', function () {
+  this.set(require('./dead-letters').getDeadLetterCount())
+})
+
+gauge('eddata_dedup_cache_entries', 'Recent messages remembered for duplicate detection', function () {
+  this.set(require('./message-dedup').getDedupCacheSize())
+})
+
+gauge('eddata_quarantined_uploaders', 'Uploaders whose messages are being ignored after sending too many too quickly', function () {
+  this.set(require('./uploader-throttle').getQuarantinedUploaderCount())
+})
+
+gauge('eddata_database_wal_size_bytes', 'Size of the write-ahead log of each database', function () {
+  // By path, as most of the databases are only open in the writer thread
+  for (const pathToDatabase of [EDDATA_SYSTEMS_DB, EDDATA_LOCATIONS_DB, EDDATA_STATIONS_DB, EDDATA_TRADE_DB, EDDATA_OUTFITTING_DB, EDDATA_SHIPYARD_DB, EDDATA_BODIES_DB, EDDATA_FACTIONS_DB, EDDATA_COLLECTOR_DB]) {
+    const pathToWal = `${pathToDatabase}-wal`
+    this.set({ database: path.basename(pathToDatabase) }, fs.existsSync(pathToWal) ? fs.statSync(pathToWal).size : 0)
+  }
+}, ['database'])
+
+gauge('eddata_last_backup_timestamp_seconds', 'Time the last backup completed', function () {
+  const timestamp = readTimestamp(path.join(EDDATA_DATA_DIR, 'backup.json'), 'completed')
+  if (timestamp) this.set(timestamp)
+})
+
+gauge('eddata_last_stats_timestamp_seconds', 'Time database stats were last generated', function () {
+  const timestamp = readTimestamp(EDDATA_DATABASE_STATS, 'timestamp')
+  if (timestamp) this.set(timestamp)
+})
+
+gauge('eddata_eddn_connected', 'Whether the Collector is connected to the EDDN relay (1) or not (0)', function () {
+  const { status, server } = require('./eddn-subscriber').getEddnConnectionState()
+  this.reset()
+  if (server) this.set({ server }, status === 'connected' ? 1 : 0)
+}, ['server'])
+
+gauge('eddata_eddn_last_message_age_seconds', 'Time since the last message was received from EDDN', function () {
+  const { lastMessageAgeSeconds } = require('./eddn-subscriber').getEddnConnectionState()
+  if (lastMessageAgeSeconds !== null) this.set(lastMessageAgeSeconds)
+})
+
+gauge('eddata_eddn_failovers', 'Times the Collector has reconnected to EDDN because no messages were received', function () {
+  this.set(require('./eddn-subscriber').getEddnConnectionState().failovers)
+})
+
+// Read an ISO timestamp from a JSON file as seconds since the epoch
+function readTimestamp (pathToFile, property) {
+  try {
+    if (!fs.existsSync(pathToFile)) return null
+    const timestamp = new Date(JSON.parse(fs.readFileSync(pathToFile))?.[property])
+    return isNaN(timestamp) ? null : timestamp.getTime() / 1000
+  } catch {
+    return null
+  }
+}
+
+function observeMessageReceived (payload, processedAt = new Date()) {
+  const schema = getSchemaLabel(payload?.$schemaRef)
+  messagesReceived.inc({ schema })
+
+  const gatewayTimestamp = new Date(payload?.header?.gatewayTimestamp)
+  if (!isNaN(gatewayTimestamp)) eddnLag.observe({ schema }, Math.max((processedAt - gatewayTimestamp) / 1000, 0))
+}
+
+function countMessageProcessed (schema) {
+  messagesProcessed.inc({ schema: getSchemaLabel(schema) })
+}
+
+function countMessageDropped (reason, schema) {
+  messagesDropped.inc({ schema: getSchemaLabel(schema), reason })
+}
+
+function observeHandlerDuration (handler, seconds) {
+  if (forwardToMainThread('metrics', 'observeHandlerDuration', [handler, seconds])) return
+  handlerDuration.observe({ handler }, seconds)
+}
+
+function observeDatabaseWriteDuration (operation, seconds) {
+  if (forwardToMainThread('metrics', 'observeDatabaseWriteDuration', [operation, seconds])) return
+  databaseWriteDuration.observe({ operation }, seconds)
+}
+
+async function getMetrics () {
+  return {
+    contentType: register.contentType,
+    metrics: await register.metrics()
+  }
+}
+
+module.exports = {
+  observeMessageReceived,
+  countMessageProcessed,
+  countMessageDropped,
+  observeHandlerDuration,
+  observeDatabaseWriteDuration,
+  getMetrics
+}
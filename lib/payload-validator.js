@@ -0,0 +1,86 @@
+const path = require('path')
+const fs = require('fs')
+const Ajv = require('ajv')
+const { EDDATA_REJECTED_SAMPLES_PER_SCHEMA } = require('./consts')
+const { incrementCounter } = require('./message-counters')
+
+// Incoming payloads are validated against the JSON Schemas in lib/schemas
+// before they are passed to the event handlers, so handlers can rely on the
+// fields they use being present and of the right type. Each schema file has
+// the EDDN $schemaRef it applies to as its $id. The schemas only describe the
+// fields the Collector uses (rather than everything EDDN allows) and are
+// bundled so no network access is needed. Payloads for schemas without a
+// bundled JSON Schema are not validated.
+const PATH_TO_SCHEMAS = path.join(__dirname, 'schemas')
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true })
+const validators = {}
+for (const fileName of fs.readdirSync(PATH_TO_SCHEMAS).filter(name => name.endsWith('.json')).sort()) {
+  const schema = JSON.parse(fs.readFileSync(path.join(PATH_TO_SCHEMAS, fileName)))
+  validators[schema.$id] = ajv.compile(schema)
+}
+
+// Statements for saving rejected payloads are only prepared when first needed,
+// so validating payloads (e.g. in a dry run replay) does not open the databases
+let insertRejectedPayload = null
+let deleteOldRejectedPayloads = null
+
+function saveRejectedPayload (rejectedPayload) {
+  if (!insertRejectedPayload) {
+    const { collectorDb } = require('./db')
+    insertRejectedPayload = collectorDb.prepare(`
+      INSERT INTO rejected_payloads (schemaRef, softwareName, softwareVersion, errors, payload, receivedAt)
+      VALUES (@schemaRef, @softwareName, @softwareVersion, @errors, @payload, @receivedAt)
+    `)
+    deleteOldRejectedPayloads = collectorDb.prepare(`
+      DELETE FROM rejected_payloads WHERE schemaRef = @schemaRef AND id NOT IN (
+        SELECT id FROM rejected_payloads WHERE schemaRef = @schemaRef ORDER BY id DESC LIMIT @limit
+      )
+    `)
+  }
+
+  insertRejectedPayload.run(rejectedPayload)
+  deleteOldRejectedPayloads.run({ schemaRef: rejectedPayload.schemaRef, limit: EDDATA_REJECTED_SAMPLES_PER_SCHEMA })
+}
+
+// Returns a list of validation errors (e.g. "/message/StationServices must be
+// array"), which is empty if the payload is valid
+function getValidationErrors (payload) {
+  const validate = validators[payload?.$schemaRef]
+  if (!validate || validate(payload)) return []
+  return validate.errors
+    .filter(error => error.keyword !== 'if') // Already reported by the errors in the "then" schema
+    .map(error => `${error.instancePath || '/'} ${error.message}`)
+}
+
+// Returns true if the payload is valid. If it is not the rejection is counted
+// by schema and software and a sample of the payload is saved. The errors can
+// be passed in if the payload has already been validated (e.g. by a parse
+// worker).
+function validatePayload (payload, receivedAt = new Date(), errors = getValidationErrors(payload)) {
+  if (errors.length === 0) return true
+
+  const schemaRef = payload?.$schemaRef ?? 'SCHEMA_UNDEFINED'
+  const softwareName = payload?.header?.softwareName ?? null
+  incrementCounter('rejected', schemaRef, softwareName ?? 'Unknown')
+
+  try {
+    saveRejectedPayload({
+      schemaRef,
+      softwareName,
+      softwareVersion: payload?.header?.softwareVersion ?? null,
+      errors: JSON.stringify(errors),
+      payload: JSON.stringify(payload),
+      receivedAt: receivedAt.toISOString()
+    })
+  } catch (error) {
+    console.error('Failed to save rejected payload:', error.message)
+  }
+
+  return false
+}
+
+module.exports = {
+  getValidationErrors,
+  validatePayload
+}
@@ -0,0 +1,149 @@
+const { collectorDb } = require('./db')
+const { EDDATA_SOFTWARE_BLOCKLIST } = require('./consts')
+const { getISODate } = require('./utils/dates')
+
+// Tracks how many messages are received from each version of each uploading
+// software (from the softwareName and softwareVersion in the EDDN header) per
+// day, how many of them were rejected, failed or blocked and how many different
+// uploaders sent them. Counts are kept in memory and added to the
+// software_stats table in the collector database every minute, so that
+// counting does not add a database write to every message.
+//
+// Uploaders are counted by uploaderID (which EDDN anonymises) for as long as
+// the process runs, so after a restart the count for that day is a minimum.
+const SOFTWARE_STATS_FLUSH_INTERVAL_IN_MS = 60 * 1000
+const SOFTWARE_STATS_MAX_AGE_DAYS = 90
+
+const upsertSoftwareStats = collectorDb.prepare(`
+  INSERT INTO software_stats (softwareName, softwareVersion, day, messages, rejected, failed, blocked, uploaders, firstSeenAt, lastSeenAt)
+  VALUES (@softwareName, @softwareVersion, @day, @messages, @rejected, @failed, @blocked, @uploaders, @firstSeenAt, @lastSeenAt)
+  ON CONFLICT (softwareName, softwareVersion, day) DO UPDATE SET
+    messages = messages + excluded.messages,
+    rejected = rejected + excluded.rejected,
+    failed = failed + excluded.failed,
+    blocked = blocked + excluded.blocked,
+    uploaders = MAX(uploaders, excluded.uploaders),
+    firstSeenAt = MIN(firstSeenAt, excluded.firstSeenAt),
+    lastSeenAt = MAX(lastSeenAt, excluded.lastSeenAt)
+`)
+
+const deleteOldSoftwareStats = collectorDb.prepare(`
+  DELETE FROM software_stats WHERE day < @day
+`)
+
+// Parse "Some Tool,Other Tool@1.2.3,Third Tool [Windows]@2.*" into
+// a list of software names and (optional) versions, which may end in * to
+// match all versions starting with what comes before it
+const blocklist = EDDATA_SOFTWARE_BLOCKLIST.split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const separatorIndex = entry.lastIndexOf('@')
+    return separatorIndex > 0
+      ? { softwareName: entry.substring(0, separatorIndex).toLowerCase(), softwareVersion: entry.substring(separatorIndex + 1) }
+      : { softwareName: entry.toLowerCase(), softwareVersion: null }
+  })
+
+let pendingStats = new Map()
+let uploadersDay = null
+let uploadersByKey = new Map()
+let flushInterval = null
+
+function getSoftware (payload) {
+  return {
+    softwareName: String(payload?.header?.softwareName ?? 'Unknown'),
+    softwareVersion: String(payload?.header?.softwareVersion ?? 'Unknown')
+  }
+}
+
+function getPendingStats (payload, receivedAt) {
+  if (!flushInterval) {
+    flushInterval = setInterval(flushSoftwareStats, SOFTWARE_STATS_FLUSH_INTERVAL_IN_MS)
+    flushInterval.unref()
+  }
+
+  const { softwareName, softwareVersion } = getSoftware(payload)
+  const day = receivedAt.toISOString().split('T')[0]
+  const key = `${day}\n${softwareName}\n${softwareVersion}`
+
+  if (!pendingStats.has(key)) {
+    pendingStats.set(key, {
+      softwareName,
+      softwareVersion,
+      day,
+      messages: 0,
+      rejected: 0,
+      failed: 0,
+      blocked: 0,
+      uploaders: 0,
+      firstSeenAt: receivedAt.toISOString(),
+      lastSeenAt: receivedAt.toISOString()
+    })
+  }
+  return { key, day, stats: pendingStats.get(key) }
+}
+
+// Count a message received from the software in the payload header
+function countSoftwareMessage (payload, receivedAt = new Date()) {
+  const { key, day, stats } = getPendingStats(payload, receivedAt)
+  stats.messages++
+  stats.lastSeenAt = receivedAt.toISOString()
+
+  if (day !== uploadersDay) {
+    uploadersDay = day
+    uploadersByKey = new Map()
+  }
+  if (!uploadersByKey.has(key)) uploadersByKey.set(key, new Set())
+  const uploaders = uploadersByKey.get(key)
+  if (payload?.header?.uploaderID) uploaders.add(payload.header.uploaderID)
+  stats.uploaders = uploaders.size
+}
+
+// Count a message from the software in the payload header as 'rejected',
+// 'failed' or 'blocked'
+function countSoftwareOutcome (payload, outcome, receivedAt = new Date()) {
+  const { stats } = getPendingStats(payload, receivedAt)
+  stats[outcome]++
+}
+
+// Returns true if the software (and version) in the payload header is in
+// EDDATA_SOFTWARE_BLOCKLIST
+function isSoftwareBlocked (payload) {
+  if (blocklist.length === 0) return false
+  const { softwareName, softwareVersion } = getSoftware(payload)
+  return blocklist.some(entry => {
+    if (entry.softwareName !== softwareName.toLowerCase()) return false
+    if (entry.softwareVersion === null) return true
+    if (entry.softwareVersion.endsWith('*')) return softwareVersion.startsWith(entry.softwareVersion.slice(0, -1))
+    return entry.softwareVersion === softwareVersion
+  })
+}
+
+function flushSoftwareStats () {
+  if (pendingStats.size === 0) return
+  const statsToWrite = pendingStats
+  pendingStats = new Map()
+
+  try {
+    collectorDb.transaction(() => {
+      for (const stats of statsToWrite.values()) upsertSoftwareStats.run(stats)
+      deleteOldSoftwareStats.run({ day: getISODate(-SOFTWARE_STATS_MAX_AGE_DAYS) })
+    })()
+  } catch (error) {
+    console.error('Failed to save software stats:', error.message)
+  }
+}
+
+function closeSoftwareStats () {
+  clearInterval(flushInterval)
+  flushInterval = null
+  flushSoftwareStats()
+}
+
+module.exports = {
+  countSoftwareMessage,
+  countSoftwareOutcome,
+  isSoftwareBlocked,
+  flushSoftwareStats,
+  closeSoftwareStats
+}
@@ -2,6 +2,14 @@ const { createHash } = require('node:crypto')
 
 const preparedStatementsCache = {}
 
+// Running total of rows inserted and updated by each helper, per table, once
+// startCountingWrites() has been called. Used to report on what was written
+// when processing messages in bulk (e.g. when replaying). Not counted
+// otherwise, as telling an upsert that inserts from one that updates takes
+// another lookup.
+const writeCounts = {}
+let countingWrites = false
+
 function generateInsertOrReplaceIntoStmt (table, keys) {
   // Generate prepared statement for table from list of keys
   return `INSERT OR REPLACE INTO ${table} (${keys.join()}) VALUES (${keys.map(key => `@${key}`).join()})`
@@ -12,29 +20,82 @@ function generateUpdateStmt (table, keys, condition) {
   return `UPDATE ${table} SET ${keys.map(key => `${key} = @${key}`).join(', ')} WHERE ${condition}`
 }
 
-function insertOrReplaceInto (db, table, object) {
-  const stmt = generateInsertOrReplaceIntoStmt(table, Object.keys(object))
+function generateExistsStmt (table, conflictKeys) {
+  return `SELECT 1 FROM ${table} WHERE ${conflictKeys.map(key => `${key} = @${key}`).join(' AND ')}`
+}
+
+function generateUpsertStmt (table, keys, conflictKeys, onlyIfNewer) {
+  // Generate prepared statement that inserts a row or, if there is already a
+  // row with the same conflict keys, only updates the columns in the list of
+  // keys (unlike INSERT OR REPLACE, which deletes the existing row first and
+  // so resets every column not in the list of keys to NULL)
+  const updateKeys = keys.filter(key => !conflictKeys.includes(key))
+  const insertStmt = `INSERT INTO ${table} (${keys.join()}) VALUES (${keys.map(key => `@${key}`).join()}) ON CONFLICT (${conflictKeys.join()})`
+  if (updateKeys.length === 0) return `${insertStmt} DO NOTHING`
+
+  const updateStmt = `${insertStmt} DO UPDATE SET ${updateKeys.map(key => `${key} = excluded.${key}`).join(', ')}`
+  if (!onlyIfNewer) return updateStmt
+
+  // Leave the existing row alone if it is more recent than the new values
+  return `${updateStmt} WHERE ${table}.${onlyIfNewer} IS NULL OR excluded.${onlyIfNewer} >= ${table}.${onlyIfNewer}`
+}
+
+function getPreparedStatement (db, stmt) {
   const hash = createHash('sha1').update(`${db.name}/${stmt}`).digest('hex')
 
   if (!preparedStatementsCache[hash]) {
     preparedStatementsCache[hash] = db.prepare(stmt)
   }
 
-  return preparedStatementsCache[hash].run(object)
+  return preparedStatementsCache[hash]
+}
+
+function insertOrReplaceInto (db, table, object) {
+  const stmt = generateInsertOrReplaceIntoStmt(table, Object.keys(object))
+  // REPLACE deletes any existing row, so the row written is a new one
+  return countWrites(table, getPreparedStatement(db, stmt).run(object), false)
 }
 
 function update (db, table, object, condition) {
   const stmt = generateUpdateStmt(table, Object.keys(object), condition)
-  const hash = createHash('sha1').update(`${db.name}/${stmt}`).digest('hex')
+  return countWrites(table, getPreparedStatement(db, stmt).run(object), true)
+}
 
-  if (!preparedStatementsCache[hash]) {
-    preparedStatementsCache[hash] = db.prepare(stmt)
-  }
+// Insert a row, or update only the supplied columns of an existing row with
+// the same conflictKeys (which must be the primary key or a unique index).
+// Properties of the object that are undefined are ignored, so they do not
+// overwrite values already in the database.
+//
+// If options.onlyIfNewer is set to the name of a timestamp column (e.g.
+// 'updatedAt') an existing row is only updated if the new value is the same
+// or more recent than the existing one. The result has `changes` set to 0 if
+// the update was skipped for that reason.
+function upsert (db, table, object, conflictKeys, options = {}) {
+  const values = Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined))
+  const stmt = generateUpsertStmt(table, Object.keys(values), conflictKeys, options.onlyIfNewer)
+  const exists = countingWrites && getPreparedStatement(db, generateExistsStmt(table, conflictKeys)).get(values) !== undefined
+  return countWrites(table, getPreparedStatement(db, stmt).run(values), exists)
+}
+
+function countWrites (table, result, updated) {
+  if (!countingWrites) return result
+  const counts = writeCounts[table] ??= { inserted: 0, updated: 0 }
+  counts[updated ? 'updated' : 'inserted'] += result.changes
+  return result
+}
+
+function startCountingWrites () {
+  countingWrites = true
+}
 
-  return preparedStatementsCache[hash].run(object)
+function getWriteCounts () {
+  return Object.fromEntries(Object.entries(writeCounts).map(([table, counts]) => [table, { ...counts }]))
 }
 
 module.exports = {
   insertOrReplaceInto,
-  update
+  update,
+  upsert,
+  startCountingWrites,
+  getWriteCounts
 }
@@ -0,0 +1,31 @@
+// Maps the services listed for a station in journal events (StationServices)
+// to the service columns in the stations table
+function getStationServices (stationServices) {
+  return {
+    shipyard: stationServices.includes('shipyard') ? 1 : 0,
+    outfitting: stationServices.includes('outfitting') ? 1 : 0,
+    blackMarket: stationServices.includes('blackmarket') ? 1 : 0,
+    contacts: stationServices.includes('contacts') ? 1 : 0,
+    crewLounge: stationServices.includes('crewlounge') ? 1 : 0,
+    interstellarFactors: stationServices.includes('facilitator') ? 1 : 0,
+    materialTrader: stationServices.includes('materialtrader') ? 1 : 0,
+    missions: stationServices.includes('missions') ? 1 : 0,
+    refuel: stationServices.includes('refuel') ? 1 : 0,
+    repair: stationServices.includes('repair') ? 1 : 0,
+    restock: stationServices.includes('restock') ? 1 : 0,
+    searchAndRescue: stationServices.includes('searchrescue') ? 1 : 0,
+    technologyBroker: stationServices.includes('techBroker') ? 1 : 0,
+    tuning: stationServices.includes('tuning') ? 1 : 0,
+    universalCartographics: stationServices.includes('exploration') ? 1 : 0,
+    engineer: stationServices.includes('engineer') ? 1 : 0,
+    frontlineSolutions: stationServices.includes('frontlinesolutions') ? 1 : 0,
+    apexInterstellar: stationServices.includes('apexinterstellar') ? 1 : 0,
+    vistaGenomics: stationServices.includes('vistagenomics') ? 1 : 0,
+    pioneerSupplies: stationServices.includes('pioneersupplies') ? 1 : 0,
+    bartender: stationServices.includes('bartender') ? 1 : 0
+  }
+}
+
+module.exports = {
+  getStationServices
+}
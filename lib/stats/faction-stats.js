@@ -0,0 +1,62 @@
+const { getISOTimestamp } = require('../utils/dates')
+
+const DEFAULT_REPORT_DAYS = 30
+
+// Report on a faction from factions.db (which may be the live database or a
+// snapshot): the systems it is present in, with its current influence and
+// states in each, how its influence has changed over the last `days` days and
+// any conflicts it is involved in. Returns null if the faction is not known.
+function getFactionReport (factionsDb, factionName, { days = DEFAULT_REPORT_DAYS } = {}) {
+  const faction = factionsDb.prepare(`
+    SELECT factionName, allegiance, government, updatedAt FROM factions WHERE factionName = @factionName
+  `).get({ factionName })
+  if (!faction) return null
+
+  const since = getISOTimestamp(-days)
+  const selectInfluenceHistory = factionsDb.prepare(`
+    SELECT influence, state, updatedAt FROM faction_influence
+    WHERE systemAddress = @systemAddress AND factionName = @factionName AND updatedAt > @since
+    ORDER BY updatedAt ASC
+  `)
+
+  const systems = factionsDb.prepare(`
+    SELECT systemAddress, systemName, systemX, systemY, systemZ, influence, state, happiness,
+      activeStates, pendingStates, recoveringStates, isControlling, updatedAt
+    FROM system_factions
+    WHERE factionName = @factionName
+    ORDER BY influence DESC
+  `).all({ factionName: faction.factionName }).map(system => {
+    const influenceHistory = selectInfluenceHistory.all({ systemAddress: system.systemAddress, factionName: faction.factionName, since })
+    // Change since the first influence recorded in the period
+    return {
+      ...system,
+      activeStates: JSON.parse(system.activeStates),
+      pendingStates: JSON.parse(system.pendingStates),
+      recoveringStates: JSON.parse(system.recoveringStates),
+      isControlling: system.isControlling === 1,
+      influenceChange: influenceHistory.length > 0 ? system.influence - influenceHistory[0].influence : 0,
+      influenceHistory
+    }
+  })
+
+  const conflicts = factionsDb.prepare(`
+    SELECT system_conflicts.*, system_factions.systemName
+    FROM system_conflicts
+    LEFT JOIN system_factions ON system_factions.systemAddress = system_conflicts.systemAddress
+      AND system_factions.factionName = @factionName
+    WHERE faction1Name = @factionName OR faction2Name = @factionName
+    ORDER BY system_conflicts.updatedAt DESC
+  `).all({ factionName: faction.factionName })
+
+  return {
+    ...faction,
+    days,
+    controlledSystems: systems.filter(({ isControlling }) => isControlling).length,
+    systems,
+    conflicts
+  }
+}
+
+module.exports = {
+  getFactionReport
+}
@@ -0,0 +1,102 @@
+const { factionsDb } = require('./db')
+const { upsert } = require('./sql-helper')
+const { getEventTimestamp } = require('./event-timestamp')
+
+const selectSystemUpdatedAt = factionsDb.prepare(`
+  SELECT MAX(updatedAt) AS updatedAt FROM system_factions WHERE systemAddress = @systemAddress
+`)
+
+const selectLastInfluence = factionsDb.prepare(`
+  SELECT influence, state FROM faction_influence
+  WHERE systemAddress = @systemAddress AND factionName = @factionName
+  ORDER BY updatedAt DESC LIMIT 1
+`)
+
+const deleteSystemFactions = factionsDb.prepare(`
+  DELETE FROM system_factions WHERE systemAddress = @systemAddress
+`)
+
+const deleteSystemConflicts = factionsDb.prepare(`
+  DELETE FROM system_conflicts WHERE systemAddress = @systemAddress
+`)
+
+// Update the factions present in a system, their influence history and any
+// conflicts between them from a journal event that has them (e.g. FSDJump or
+// Location). Events for systems with no factions (i.e. unpopulated systems)
+// are ignored, as are events older than what we already have for the system.
+function updateSystemFactions (payload) {
+  const { message } = payload
+  if (!Array.isArray(message.Factions) || message.Factions.length === 0) return
+
+  const systemAddress = message.SystemAddress
+  const updatedAt = getEventTimestamp(payload)
+
+  // Stale messages are counted by the handler that updates the system
+  const system = selectSystemUpdatedAt.get({ systemAddress })
+  if (system?.updatedAt && system.updatedAt > updatedAt) return
+
+  // Each event lists all the factions in the system, so replace what we have
+  deleteSystemFactions.run({ systemAddress })
+  deleteSystemConflicts.run({ systemAddress })
+
+  const controllingFactionName = message.SystemFaction?.Name?.toLowerCase()
+
+  for (const faction of message.Factions) {
+    upsert(factionsDb, 'factions', {
+      factionName: faction.Name,
+      allegiance: faction.Allegiance,
+      government: faction.Government,
+      updatedAt
+    }, ['factionName'], { onlyIfNewer: 'updatedAt' })
+
+    const systemFactionData = {
+      systemAddress,
+      factionName: faction.Name,
+      systemName: message.StarSystem,
+      systemX: message.StarPos?.[0] ?? null,
+      systemY: message.StarPos?.[1] ?? null,
+      systemZ: message.StarPos?.[2] ?? null,
+      influence: faction.Influence,
+      state: faction.FactionState,
+      happiness: faction.Happiness,
+      activeStates: JSON.stringify((faction.ActiveStates ?? []).map(({ State }) => State)),
+      pendingStates: JSON.stringify((faction.PendingStates ?? []).map(({ State, Trend }) => ({ state: State, trend: Trend }))),
+      recoveringStates: JSON.stringify((faction.RecoveringStates ?? []).map(({ State, Trend }) => ({ state: State, trend: Trend }))),
+      isControlling: faction.Name.toLowerCase() === controllingFactionName ? 1 : 0,
+      updatedAt
+    }
+    upsert(factionsDb, 'system_factions', systemFactionData, ['systemAddress', 'factionName'])
+
+    const lastInfluence = selectLastInfluence.get({ systemAddress, factionName: faction.Name })
+    if (lastInfluence?.influence !== faction.Influence || lastInfluence?.state !== faction.FactionState) {
+      const influenceData = {
+        systemAddress,
+        factionName: faction.Name,
+        influence: faction.Influence,
+        state: faction.FactionState,
+        updatedAt
+      }
+      upsert(factionsDb, 'faction_influence', influenceData, ['systemAddress', 'factionName', 'updatedAt'])
+    }
+  }
+
+  for (const conflict of message.Conflicts ?? []) {
+    const conflictData = {
+      systemAddress,
+      warType: conflict.WarType,
+      status: conflict.Status,
+      faction1Name: conflict.Faction1?.Name,
+      faction1Stake: conflict.Faction1?.Stake,
+      faction1WonDays: conflict.Faction1?.WonDays,
+      faction2Name: conflict.Faction2?.Name,
+      faction2Stake: conflict.Faction2?.Stake,
+      faction2WonDays: conflict.Faction2?.WonDays,
+      updatedAt
+    }
+    upsert(factionsDb, 'system_conflicts', conflictData, ['systemAddress', 'faction1Name', 'faction2Name'])
+  }
+}
+
+module.exports = {
+  updateSystemFactions
+}
@@ -0,0 +1,203 @@
+const { createHash } = require('node:crypto')
+const {
+  EDDATA_THROTTLE_WINDOW_SECONDS,
+  EDDATA_THROTTLE_MAX_MESSAGES,
+  EDDATA_THROTTLE_QUARANTINE_THRESHOLD,
+  EDDATA_THROTTLE_QUARANTINE_SECONDS
+} = require('./consts')
+const { collectorDb } = require('./db')
+const { incrementCounter } = require('./message-counters')
+const { getISODate } = require('./utils/dates')
+
+// Limits how many messages each uploader can send about the same target (see
+// getTarget) within a window, so that one misbehaving client resending the
+// same market over and over can not churn the databases. Messages over the
+// limit are throttled (ignored). An uploader that is throttled
+// EDDATA_THROTTLE_QUARANTINE_THRESHOLD times within a window is quarantined:
+// all messages from it are ignored for EDDATA_THROTTLE_QUARANTINE_SECONDS.
+//
+// Uploaders are identified by a hash of the uploaderID in the message header
+// (which EDDN has already anonymised) so the IDs themselves are never stored.
+// Counts of throttled messages by uploader and target are added to the
+// throttled_sources table in the collector database every minute.
+const THROTTLE_EXPIRE_INTERVAL = 1000
+const THROTTLE_FLUSH_INTERVAL_IN_MS = 60 * 1000
+const THROTTLE_STATS_MAX_AGE_DAYS = 30
+const EDDN_SCHEMA_BASE_URL = 'https://eddn.edcd.io/schemas/'
+
+const upsertThrottledSource = collectorDb.prepare(`
+  INSERT INTO throttled_sources (uploaderHash, target, day, schemaRef, softwareName, softwareVersion, throttled, quarantined, firstThrottledAt, lastThrottledAt)
+  VALUES (@uploaderHash, @target, @day, @schemaRef, @softwareName, @softwareVersion, @throttled, @quarantined, @firstThrottledAt, @lastThrottledAt)
+  ON CONFLICT (uploaderHash, target, day) DO UPDATE SET
+    schemaRef = excluded.schemaRef,
+    softwareName = excluded.softwareName,
+    softwareVersion = excluded.softwareVersion,
+    throttled = throttled + excluded.throttled,
+    quarantined = quarantined + excluded.quarantined,
+    firstThrottledAt = MIN(firstThrottledAt, excluded.firstThrottledAt),
+    lastThrottledAt = MAX(lastThrottledAt, excluded.lastThrottledAt)
+`)
+
+const deleteOldThrottledSources = collectorDb.prepare(`
+  DELETE FROM throttled_sources WHERE day < @day
+`)
+
+// Messages (and throttled messages) in the current window, by uploader and
+// target and by uploader, in the order they were first seen in the window
+const messagesByTarget = new Map()
+const throttledByUploader = new Map()
+const quarantinedUploaders = new Map()
+let messagesSinceExpire = 0
+
+let pendingStats = new Map()
+let flushInterval = null
+
+function getUploaderHash (uploaderID) {
+  return createHash('sha1').update(String(uploaderID)).digest('hex')
+}
+
+// What a payload is about: the market and schema for market data (commodity,
+// outfitting and shipyard messages, so docking and sending all three only
+// counts once towards each), or for journal (and other event based) messages
+// the event and the market, body or system it is about. Keying events by body
+// means exploring a system, which sends a Scan (and often SAASignalsFound) for
+// every body in it within a few seconds, is not mistaken for a burst. Messages
+// that are not about a market or system (e.g. navroute) have no target.
+function getTarget (payload) {
+  const message = payload?.message
+  const event = message?.event ? `/${message.event}` : ''
+  const marketId = message?.marketId ?? message?.MarketID
+  if (marketId) {
+    // e.g. commodity, from https://eddn.edcd.io/schemas/commodity/3
+    const schemaName = payload.$schemaRef?.replace(EDDN_SCHEMA_BASE_URL, '').split('/')[0]
+    return `market:${marketId}${event || `/${schemaName}`}`
+  }
+  const system = message?.systemAddress ?? message?.SystemAddress ?? message?.systemName ?? message?.StarSystem
+  if (!system) return null
+  if (message.BodyID !== undefined) return `body:${system}:${message.BodyID}${event}`
+  return `system:${system}${event}`
+}
+
+// Count a message in the window that started when the first message was seen,
+// starting a new window if it has ended
+function countInWindow (windows, key, now) {
+  let window = windows.get(key)
+  if (!window || window.endsAt <= now) {
+    windows.delete(key)
+    window = { endsAt: now + EDDATA_THROTTLE_WINDOW_SECONDS * 1000, count: 0 }
+    windows.set(key, window)
+  }
+  return ++window.count
+}
+
+function recordThrottled (payload, uploaderHash, target, receivedAt, quarantined) {
+  if (!flushInterval) {
+    flushInterval = setInterval(flushThrottleStats, THROTTLE_FLUSH_INTERVAL_IN_MS)
+    flushInterval.unref()
+  }
+
+  const day = receivedAt.toISOString().split('T')[0]
+  const key = `${day}\n${uploaderHash}\n${target}`
+  if (!pendingStats.has(key)) {
+    pendingStats.set(key, {
+      uploaderHash,
+      target,
+      day,
+      schemaRef: payload?.$schemaRef ?? null,
+      softwareName: payload?.header?.softwareName ?? null,
+      softwareVersion: payload?.header?.softwareVersion ?? null,
+      throttled: 0,
+      quarantined: 0,
+      firstThrottledAt: receivedAt.toISOString(),
+      lastThrottledAt: receivedAt.toISOString()
+    })
+  }
+  const stats = pendingStats.get(key)
+  stats[quarantined ? 'quarantined' : 'throttled']++
+  stats.lastThrottledAt = receivedAt.toISOString()
+
+  incrementCounter('throttled', payload?.$schemaRef ?? 'SCHEMA_UNDEFINED', payload?.header?.softwareName)
+}
+
+function expireWindows (now) {
+  for (const windows of [messagesByTarget, throttledByUploader, quarantinedUploaders]) {
+    for (const [key, value] of windows) {
+      if ((value?.endsAt ?? value) <= now) windows.delete(key)
+    }
+  }
+}
+
+// Returns true if the message should be ignored because the uploader has sent
+// too many messages about the same target recently, or has been quarantined
+// (counting it as throttled), otherwise counts the message and returns false.
+// Messages with no target are only ignored if the uploader is quarantined.
+function isUploaderThrottled (payload, receivedAt = new Date()) {
+  if (EDDATA_THROTTLE_MAX_MESSAGES <= 0) return false
+  const uploaderID = payload?.header?.uploaderID
+  if (!uploaderID) return false
+
+  const now = receivedAt.getTime()
+  const uploaderHash = getUploaderHash(uploaderID)
+  const target = getTarget(payload)
+
+  if (++messagesSinceExpire >= THROTTLE_EXPIRE_INTERVAL) {
+    messagesSinceExpire = 0
+    expireWindows(now)
+  }
+
+  if ((quarantinedUploaders.get(uploaderHash) ?? 0) > now) {
+    recordThrottled(payload, uploaderHash, target ?? '', receivedAt, true)
+    return true
+  }
+  if (target === null) return false
+
+  if (countInWindow(messagesByTarget, `${uploaderHash}\n${target}`, now) <= EDDATA_THROTTLE_MAX_MESSAGES) return false
+
+  recordThrottled(payload, uploaderHash, target, receivedAt, false)
+
+  if (EDDATA_THROTTLE_QUARANTINE_THRESHOLD > 0 &&
+    countInWindow(throttledByUploader, uploaderHash, now) >= EDDATA_THROTTLE_QUARANTINE_THRESHOLD) {
+    throttledByUploader.delete(uploaderHash)
+    quarantinedUploaders.set(uploaderHash, now + EDDATA_THROTTLE_QUARANTINE_SECONDS * 1000)
+    console.warn(`Quarantined uploader ${uploaderHash.substring(0, 12)} (${payload?.header?.softwareName} ${payload?.header?.softwareVersion}) for ${EDDATA_THROTTLE_QUARANTINE_SECONDS}s after ${EDDATA_THROTTLE_QUARANTINE_THRESHOLD} throttled messages`)
+  }
+
+  return true
+}
+
+function getQuarantinedUploaderCount (now = Date.now()) {
+  let count = 0
+  for (const quarantinedUntil of quarantinedUploaders.values()) {
+    if (quarantinedUntil > now) count++
+  }
+  return count
+}
+
+function flushThrottleStats () {
+  if (pendingStats.size === 0) return
+  const statsToWrite = pendingStats
+  pendingStats = new Map()
+
+  try {
+    collectorDb.transaction(() => {
+      for (const stats of statsToWrite.values()) upsertThrottledSource.run(stats)
+      deleteOldThrottledSources.run({ day: getISODate(-THROTTLE_STATS_MAX_AGE_DAYS) })
+    })()
+  } catch (error) {
+    console.error('Failed to save throttled sources:', error.message)
+  }
+}
+
+function closeUploaderThrottle () {
+  clearInterval(flushInterval)
+  flushInterval = null
+  flushThrottleStats()
+}
+
+module.exports = {
+  getTarget,
+  isUploaderThrottled,
+  getQuarantinedUploaderCount,
+  flushThrottleStats,
+  closeUploaderThrottle
+}
@@ -0,0 +1,50 @@
+const { isMainThread, parentPort } = require('worker_threads')
+
+// Counters and metrics are served from the main thread (by /health and
+// /metrics), so when one is recorded in a worker thread the call is queued
+// instead, sent back to the main thread with the result of the task the worker
+// was doing (see lib/ingest-workers.js) and replayed there. Calls made outside
+// of a task (e.g. when the write batcher commits on a timer) are sent on their
+// own as soon as the worker is done with what it is doing.
+const FORWARDABLE_MODULES = {
+  'message-counters': () => require('../message-counters'),
+  metrics: () => require('../metrics')
+}
+
+const forwardedCalls = []
+let sendScheduled = false
+
+// Returns true if the call was queued to be replayed on the main thread, in
+// which case the caller should not record it itself
+function forwardToMainThread (moduleName, functionName, args) {
+  if (isMainThread) return false
+  forwardedCalls.push([moduleName, functionName, args])
+  if (!sendScheduled) {
+    sendScheduled = true
+    setImmediate(sendForwardedCalls)
+  }
+  return true
+}
+
+// By the time this runs, calls made during a task have been taken to be sent
+// with its result, so only calls made outside of one are left
+function sendForwardedCalls () {
+  sendScheduled = false
+  if (forwardedCalls.length > 0) parentPort?.postMessage({ forwardedCalls: takeForwardedCalls() })
+}
+
+function takeForwardedCalls () {
+  return forwardedCalls.splice(0)
+}
+
+function replayForwardedCalls (calls = []) {
+  for (const [moduleName, functionName, args] of calls) {
+    FORWARDABLE_MODULES[moduleName]?.()?.[functionName]?.(...args)
+  }
+}
+
+module.exports = {
+  forwardToMainThread,
+  takeForwardedCalls,
+  replayForwardedCalls
+}
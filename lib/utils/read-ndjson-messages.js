@@ -0,0 +1,32 @@
+const path = require('path')
+const fs = require('fs')
+const zlib = require('zlib')
+const readline = require('readline')
+
+// Read EDDN payloads from an NDJSON file (plain or gzipped), yielding
+// { payload, receivedAt } for each line. Lines written by the message archive
+// (lib/message-archive.js) wrap the payload with the time it was received,
+// any other line is assumed to be a raw EDDN payload (receivedAt is null).
+// Lines that can not be parsed are logged and skipped.
+async function * readNdjsonMessages (pathToFile) {
+  const fileStream = fs.createReadStream(pathToFile)
+  const input = pathToFile.endsWith('.gz') ? fileStream.pipe(zlib.createGunzip()) : fileStream
+
+  let lineNumber = 0
+  for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+    lineNumber++
+    if (!line.trim()) continue
+    try {
+      const entry = JSON.parse(line)
+      if (entry?.payload?.$schemaRef) {
+        yield { payload: entry.payload, receivedAt: entry.receivedAt }
+      } else {
+        yield { payload: entry, receivedAt: null }
+      }
+    } catch (error) {
+      console.error(`${path.basename(pathToFile)}:${lineNumber}: Could not parse line (${error.message})`)
+    }
+  }
+}
+
+module.exports = readNdjsonMessages
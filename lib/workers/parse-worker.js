@@ -0,0 +1,21 @@
+const zlib = require('zlib')
+const { parentPort } = require('worker_threads')
+const { getValidationErrors } = require('../payload-validator')
+const { getMessageHash } = require('../message-dedup')
+
+// Inflates and parses compressed EDDN messages, validates the payloads and
+// works out the hash used to detect duplicates, so none of this CPU heavy work
+// is done on the main thread. Nothing here uses the databases.
+parentPort.on('message', ({ id, message }) => {
+  try {
+    const payload = JSON.parse(zlib.inflateSync(message).toString('utf8'))
+    parentPort.postMessage({
+      id,
+      payload,
+      hash: getMessageHash(payload),
+      validationErrors: getValidationErrors(payload)
+    })
+  } catch (error) {
+    parentPort.postMessage({ id, error: { message: error.message } })
+  }
+})
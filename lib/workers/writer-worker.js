@@ -0,0 +1,51 @@
+const { parentPort } = require('worker_threads')
+const databases = require('../db')
+const { handleEvent, getRegisteredHandlers } = require('../event-handlers')
+const { runInWriteBatch, flushWriteBatch } = require('../write-batcher')
+const { takeForwardedCalls } = require('../utils/main-thread')
+
+// The only thread that writes game data to the databases. Tasks are run one at
+// a time in the order they were sent, so payloads are written in the order the
+// main thread passed them on and a long running task (e.g. VACUUM) only holds
+// up writes, not the HTTP API on the main thread.
+//
+// Each task calls done() once it has finished. A write has only finished once
+// it has been committed, which may be after later tasks have run if writes are
+// being batched (see lib/write-batcher.js).
+const tasks = {
+  write ({ payload }, done) {
+    runInWriteBatch(() => handleEvent(payload), done)
+  },
+  flush (args, done) {
+    flushWriteBatch()
+    done()
+  },
+  vacuum ({ database }, done) {
+    flushWriteBatch()
+    databases[database].exec('VACUUM')
+    done()
+  },
+  close (args, done) {
+    flushWriteBatch()
+    databases.closeAllDatabaseConnections()
+    done()
+  }
+}
+
+parentPort.on('message', ({ id, task, ...args }) => {
+  const done = (e = null) => {
+    // Errors can't be sent between threads as they are, so send the parts used
+    // for logging and dead letters
+    const error = e && { message: e?.message ?? String(e), stack: e?.stack ?? null, handlerName: e?.handlerName ?? null }
+    parentPort.postMessage({ id, error, forwardedCalls: takeForwardedCalls() })
+  }
+  try {
+    tasks[task](args, done)
+  } catch (e) {
+    done(e)
+  }
+})
+
+// Handlers are only loaded on this thread, so let the main thread know which
+// are registered (e.g. for /health)
+parentPort.postMessage({ registeredHandlers: getRegisteredHandlers() })
@@ -0,0 +1,91 @@
+const { systemsDb, locationsDb, stationsDb, tradeDb, outfittingDb, shipyardDb, bodiesDb, factionsDb } = require('./db')
+const { EDDATA_WRITE_BATCH_WINDOW_MS, EDDATA_WRITE_BATCH_MAX_MESSAGES } = require('./consts')
+const { observeDatabaseWriteDuration } = require('./metrics')
+
+// Groups database writes into transactions so they are not each committed (and
+// synced to disk) individually. A single commodity message can write over 100
+// rows to the trade database, and without an explicit transaction each row is
+// committed on its own.
+//
+// Every message is always handled in its own transaction across all databases,
+// so if a handler throws none of the writes made for that message are kept.
+//
+// If EDDATA_WRITE_BATCH_WINDOW_MS is greater than zero, the transactions for
+// messages handled within that window are nested (as savepoints) inside one
+// outer transaction per database, which is committed when the window ends,
+// when EDDATA_WRITE_BATCH_MAX_MESSAGES have been handled or when flushed
+// explicitly (e.g. before maintenance or on shutdown). Reads made while a batch
+// is open see the uncommitted writes in it, so handlers behave the same either
+// way; other connections only see the writes once the batch is committed.
+//
+// Callers are told when the writes for a message have been committed, rather
+// than when they were made, so a message is not treated as written (e.g.
+// removed from the spool) while its writes are still in an open batch that
+// would be lost if the process stopped.
+const databases = [systemsDb, locationsDb, stationsDb, tradeDb, outfittingDb, shipyardDb, bodiesDb, factionsDb]
+
+// Wraps a function in a transaction on every database (better-sqlite3 uses a
+// savepoint instead if a transaction is already open on a database)
+const runInTransaction = databases.reduce((fn, db) => db.transaction(fn), (fn) => fn())
+
+let batchOpen = false
+let commitCallbacks = [] // One for each message in the batch
+let flushTimeout = null
+
+// Runs fn in a transaction and calls onCommitted once its writes have been
+// committed (with an error if the batch they were in failed to commit). If fn
+// throws, nothing it wrote is kept and onCommitted is not called.
+function runInWriteBatch (fn, onCommitted = () => {}) {
+  if (EDDATA_WRITE_BATCH_WINDOW_MS > 0 && !batchOpen) {
+    for (const db of databases) {
+      if (!db.inTransaction) db.exec('BEGIN')
+    }
+    batchOpen = true
+    flushTimeout = setTimeout(flushWriteBatch, EDDATA_WRITE_BATCH_WINDOW_MS)
+  }
+
+  const startTime = performance.now()
+  const result = runInTransaction(fn)
+  observeDatabaseWriteDuration('message', (performance.now() - startTime) / 1000)
+
+  if (batchOpen) {
+    commitCallbacks.push(onCommitted)
+    if (commitCallbacks.length >= EDDATA_WRITE_BATCH_MAX_MESSAGES) flushWriteBatch()
+  } else {
+    onCommitted(null)
+  }
+
+  return result
+}
+
+// Commit the current batch, if there is one
+function flushWriteBatch () {
+  clearTimeout(flushTimeout)
+  flushTimeout = null
+  if (!batchOpen) return
+
+  const startTime = performance.now()
+  let commitError = null
+  for (const db of databases) {
+    if (!db.open || !db.inTransaction) continue
+    try {
+      db.exec('COMMIT')
+    } catch (error) {
+      console.error(`Failed to commit batched writes to ${db.name} (${commitCallbacks.length} messages):`, error.message)
+      if (db.inTransaction) db.exec('ROLLBACK')
+      commitError = new Error(`Failed to commit batched writes to ${db.name}: ${error.message}`)
+    }
+  }
+
+  observeDatabaseWriteDuration('batch_commit', (performance.now() - startTime) / 1000)
+
+  const callbacks = commitCallbacks
+  batchOpen = false
+  commitCallbacks = []
+  for (const onCommitted of callbacks) onCommitted(commitError)
+}
+
+module.exports = {
+  runInWriteBatch,
+  flushWriteBatch
+}
@@ -19,7 +19,11 @@ const databasesToBackup = [
   path.join(EDDATA_BACKUP_DIR, '/locations.db'),
   path.join(EDDATA_BACKUP_DIR, '/trade.db'),
   path.join(EDDATA_BACKUP_DIR, '/stations.db'),
-  path.join(EDDATA_BACKUP_DIR, '/systems.db')
+  path.join(EDDATA_BACKUP_DIR, '/systems.db'),
+  path.join(EDDATA_BACKUP_DIR, '/outfitting.db'),
+  path.join(EDDATA_BACKUP_DIR, '/shipyard.db'),
+  path.join(EDDATA_BACKUP_DIR, '/bodies.db'),
+  path.join(EDDATA_BACKUP_DIR, '/factions.db')
 ]
 
 ;(async () => {
@@ -74,7 +74,7 @@ const {
 const TEN_KB_IN_BYTES = 10000
 const TEN_MB_IN_BYTES = 10000000
 
-const { locationsDb, tradeDb, stationsDb, systemsDb } = require('../lib/db')
+const { locationsDb, tradeDb, stationsDb, systemsDb, outfittingDb, shipyardDb, bodiesDb, factionsDb } = require('../lib/db')
 
 ;(async () => {
   console.log(`Writing backup log to ${EDDATA_BACKUP_LOG}`)
@@ -89,6 +89,10 @@ const { locationsDb, tradeDb, stationsDb, systemsDb } = require('../lib/db')
   const pathToTradeDbBackup = path.join(EDDATA_BACKUP_DIR, 'trade.db')
   const pathToStationsDbBackup = path.join(EDDATA_BACKUP_DIR, 'stations.db')
   const pathToSystemsDbBackup = path.join(EDDATA_BACKUP_DIR, 'systems.db')
+  const pathToOutfittingDbBackup = path.join(EDDATA_BACKUP_DIR, 'outfitting.db')
+  const pathToShipyardDbBackup = path.join(EDDATA_BACKUP_DIR, 'shipyard.db')
+  const pathToBodiesDbBackup = path.join(EDDATA_BACKUP_DIR, 'bodies.db')
+  const pathToFactionsDbBackup = path.join(EDDATA_BACKUP_DIR, 'factions.db')
 
   const dataDirSizeInBytes = (os.platform() !== 'win32') ? getFolderSizeSync(EDDATA_DATA_DIR) : 0
   const freeDiskSpaceInBytes = (await checkDiskSpace(EDDATA_BACKUP_DIR)).free
@@ -121,6 +125,22 @@ const { locationsDb, tradeDb, stationsDb, systemsDb } = require('../lib/db')
   backupDatabase(systemsDb, pathToSystemsDbBackup)
   verifyResults.push(verifyBackup(pathToSystemsDbBackup, ['systems'], TEN_MB_IN_BYTES))
 
+  writeBackupLog(`Backing up ${path.basename(pathToOutfittingDbBackup)}`)
+  backupDatabase(outfittingDb, pathToOutfittingDbBackup)
+  verifyResults.push(verifyBackup(pathToOutfittingDbBackup, ['modules'], TEN_KB_IN_BYTES))
+
+  writeBackupLog(`Backing up ${path.basename(pathToShipyardDbBackup)}`)
+  backupDatabase(shipyardDb, pathToShipyardDbBackup)
+  verifyResults.push(verifyBackup(pathToShipyardDbBackup, ['ships'], TEN_KB_IN_BYTES))
+
+  writeBackupLog(`Backing up ${path.basename(pathToBodiesDbBackup)}`)
+  backupDatabase(bodiesDb, pathToBodiesDbBackup)
+  verifyResults.push(verifyBackup(pathToBodiesDbBackup, ['bodies'], TEN_MB_IN_BYTES))
+
+  writeBackupLog(`Backing up ${path.basename(pathToFactionsDbBackup)}`)
+  backupDatabase(factionsDb, pathToFactionsDbBackup)
+  verifyResults.push(verifyBackup(pathToFactionsDbBackup, ['system_factions'], TEN_KB_IN_BYTES))
+
   console.timeEnd('Backup complete')
   writeBackupLog(`Completed backup at ${new Date().toISOString()}`)
 
@@ -134,6 +154,10 @@ const { locationsDb, tradeDb, stationsDb, systemsDb } = require('../lib/db')
     pathToLocationsDbBackup,
     pathToTradeDbBackup,
     pathToStationsDbBackup,
+    pathToOutfittingDbBackup,
+    pathToShipyardDbBackup,
+    pathToBodiesDbBackup,
+    pathToFactionsDbBackup,
     dataDirSizeInBytes,
     freeDiskSpaceInBytes,
     databases: verifyResults,
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+/**
+ * List, inspect, retry and purge dead letters
+ *
+ * Dead letters are EDDN payloads that could not be written to the databases
+ * because an event handler threw an error. They are kept in collector.db with
+ * the error, stack trace, schema and name of the handler that failed, so they
+ * can be retried once the handler has been fixed.
+ *
+ * Usage:
+ *   npm run dead-letters -- list
+ *   npm run dead-letters -- list --handler=journal-event/docked-event
+ *   npm run dead-letters -- inspect 42
+ *   npm run dead-letters -- retry 42 43
+ *   npm run dead-letters -- retry --all --schema=journal/1
+ *   npm run dead-letters -- purge --all --before=2025-11-20
+ *
+ * Options:
+ *   --schema       Only dead letters for this schema, e.g. commodity/3
+ *   --handler      Only dead letters from this handler, e.g. commodity-event
+ *   --before       Only dead letters that (last) failed before this time
+ *   --limit        Maximum number of dead letters to list (default: 50)
+ *   --all          Retry or purge all dead letters matching the filters
+ *                  (rather than only the ids given)
+ */
+
+const EDDN_SCHEMA_BASE_URL = 'https://eddn.edcd.io/schemas/'
+
+function parseArgs () {
+  const args = { command: null, ids: [] }
+
+  for (let i = 2; i < process.argv.length; i++) {
+    const arg = process.argv[i]
+
+    if (arg.startsWith('--')) {
+      const [key, value] = arg.substring(2).split('=')
+      args[key] = value === undefined ? true : value
+    } else if (!args.command) {
+      args.command = arg
+    } else {
+      args.ids.push(parseInt(arg))
+    }
+  }
+
+  return args
+}
+
+function getFilters (args) {
+  const filters = {}
+  if (args.schema && args.schema !== true) {
+    filters.schemaRef = args.schema.startsWith(EDDN_SCHEMA_BASE_URL) ? args.schema : `${EDDN_SCHEMA_BASE_URL}${args.schema}`
+  }
+  if (args.handler && args.handler !== true) filters.handlerName = args.handler
+  if (args.before && args.before !== true) {
+    const before = new Date(args.before)
+    if (isNaN(before)) throw new Error(`Invalid date for --before: ${args.before}`)
+    filters.before = before.toISOString()
+  }
+  return filters
+}
+
+// Ids given on the command line, or all dead letters matching the filters
+function getIdsToProcess (args, listDeadLetters) {
+  if (args.all === true) return listDeadLetters(getFilters(args)).map(({ id }) => id).reverse()
+  if (args.ids.length === 0 || args.ids.some(id => isNaN(id))) {
+    throw new Error(`Specify the ids of the dead letters to ${args.command} (or --all)`)
+  }
+  return args.ids
+}
+
+;(async () => {
+  const args = parseArgs()
+
+  if (!['list', 'inspect', 'retry', 'purge'].includes(args.command) || args.help) {
+    console.log(`
+EDData Dead Letters Tool
+
+Usage:
+  npm run dead-letters -- list [options]
+  npm run dead-letters -- inspect <id>
+  npm run dead-letters -- retry <id> [<id> …] | --all [options]
+  npm run dead-letters -- purge <id> [<id> …] | --all [options]
+
+Options:
+  --schema       Only dead letters for this schema, e.g. commodity/3
+  --handler      Only dead letters from this handler, e.g. commodity-event
+  --before       Only dead letters that (last) failed before this time (ISO 8601)
+  --limit        Maximum number of dead letters to list (default: 50)
+  --all          Retry or purge all dead letters matching the filters
+`)
+    process.exit(args.help ? 0 : 1)
+  }
+
+  const {
+    listDeadLetters,
+    getDeadLetter,
+    retryDeadLetter,
+    deleteDeadLetter,
+    getDeadLetterCount
+  } = require('../lib/dead-letters')
+
+  if (args.command === 'list') {
+    const limit = args.limit && args.limit !== true ? parseInt(args.limit) : 50
+    const deadLetters = listDeadLetters({ ...getFilters(args), limit })
+    const countByHandler = {}
+    for (const { handlerName } of listDeadLetters(getFilters(args))) {
+      countByHandler[handlerName ?? 'Unknown'] = (countByHandler[handlerName ?? 'Unknown'] ?? 0) + 1
+    }
+
+    console.log(`\n📮 ${getDeadLetterCount().toLocaleString()} dead letters`)
+    for (const [handlerName, count] of Object.entries(countByHandler)) {
+      console.log(`  - ${handlerName}: ${count.toLocaleString()}`)
+    }
+    console.log('')
+    for (const deadLetter of deadLetters) {
+      const schema = (deadLetter.schemaRef ?? '').replace(EDDN_SCHEMA_BASE_URL, '')
+      console.log(`#${deadLetter.id} ${deadLetter.failedAt} ${schema}${deadLetter.eventName ? ` (${deadLetter.eventName})` : ''} ${deadLetter.handlerName ?? 'Unknown'}`)
+      console.log(`    ${deadLetter.error}${deadLetter.retries > 0 ? ` [retried ${deadLetter.retries} times]` : ''}`)
+    }
+    if (deadLetters.length === limit) console.log(`\n(showing the ${limit} most recent, use --limit to show more)`)
+  }
+
+  if (args.command === 'inspect') {
+    const deadLetter = getDeadLetter(args.ids[0])
+    if (!deadLetter) {
+      console.error(`❌ Dead letter not found: ${args.ids[0]}`)
+      process.exit(1)
+    }
+    console.log(`Dead letter #${deadLetter.id}`)
+    console.log(`* Schema: ${deadLetter.schemaRef}`)
+    if (deadLetter.eventName) console.log(`* Event: ${deadLetter.eventName}`)
+    console.log(`* Handler: ${deadLetter.handlerName ?? 'Unknown'}`)
+    console.log(`* Received: ${deadLetter.receivedAt}`)
+    console.log(`* Failed: ${deadLetter.failedAt}`)
+    console.log(`* Retries: ${deadLetter.retries}`)
+    console.log(`\nError:\n${deadLetter.stack ?? deadLetter.error}`)
+    console.log(`\nPayload:\n${JSON.stringify(deadLetter.payload, null, 2)}`)
+  }
+
+  if (args.command === 'retry') {
+    const { handleEvent } = require('../lib/event-handlers')
+    const { runInWriteBatch, flushWriteBatch } = require('../lib/write-batcher')
+    const ids = getIdsToProcess(args, listDeadLetters)
+
+    let succeeded = 0
+    let failed = 0
+    console.time('Retry complete')
+    for (const id of ids) {
+      if (retryDeadLetter(id, (payload) => runInWriteBatch(() => handleEvent(payload)))) {
+        succeeded++
+      } else {
+        failed++
+        const deadLetter = getDeadLetter(id)
+        if (deadLetter && failed <= 10) console.error(`❌ #${id} failed again: ${deadLetter.error}`)
+      }
+    }
+    flushWriteBatch()
+    console.timeEnd('Retry complete')
+    console.log(`✅ ${succeeded.toLocaleString()} succeeded, ❌ ${failed.toLocaleString()} failed`)
+  }
+
+  if (args.command === 'purge') {
+    const ids = getIdsToProcess(args, listDeadLetters)
+    const purged = ids.filter(id => deleteDeadLetter(id)).length
+    console.log(`🗑️ Purged ${purged.toLocaleString()} dead letters`)
+  }
+
+  const { closeAllDatabaseConnections } = require('../lib/db')
+  closeAllDatabaseConnections()
+  process.exit(0)
+})().catch(error => {
+  console.error('❌ Dead letters tool failed:', error.message)
+  process.exit(1)
+})
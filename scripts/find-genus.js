@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * Find bodies where a genus has been found near a system or point
+ *
+ * Genuses are recorded from SAASignalsFound events by name, e.g. Stratum or
+ * Bacterium (see lib/body-signals.js). Bodies are listed closest first.
+ *
+ * Usage:
+ *   npm run find-genus -- Stratum --near=Colonia
+ *   npm run find-genus -- Bacterium --near=Sol --distance=50 --limit=10
+ *   npm run find-genus -- Tussock --x=5378 --y=199 --z=35176
+ *
+ * Options:
+ *   --near         Name of the system to search around
+ *   --x, --y, --z  Coordinates to search around (instead of --near)
+ *   --distance     How far to search, in light years (default: 100, at most
+ *                  1000)
+ *   --limit        Maximum number of bodies to list (default: 25)
+ */
+
+// Every sector within the distance is searched, and each one is a parameter
+// of the query (which SQLite limits to 32,766)
+const MAX_DISTANCE = 1000
+
+function parseArgs () {
+  const args = { genus: null }
+
+  for (let i = 2; i < process.argv.length; i++) {
+    const arg = process.argv[i]
+
+    if (arg.startsWith('--')) {
+      const [key, value] = arg.substring(2).split('=')
+      args[key] = value === undefined ? true : value
+    } else if (!args.genus) {
+      args.genus = arg
+    }
+  }
+
+  return args
+}
+
+function parseNumber (value, name, defaultValue) {
+  if (value === undefined) return defaultValue
+  const number = Number(value)
+  if (value === true || isNaN(number)) throw new Error(`Invalid number for --${name}: ${value}`)
+  return number
+}
+
+;(async () => {
+  const args = parseArgs()
+  const hasCoordinates = args.x !== undefined || args.y !== undefined || args.z !== undefined
+
+  if (!args.genus || (!args.near && !hasCoordinates) || args.help) {
+    console.log(`
+EDData Genus Finder
+
+Usage:
+  npm run find-genus -- <genus> --near=<system> [options]
+  npm run find-genus -- <genus> --x=<x> --y=<y> --z=<z> [options]
+
+Options:
+  --near         Name of the system to search around
+  --x, --y, --z  Coordinates to search around (instead of --near)
+  --distance     How far to search, in light years (default: 100, at most ${MAX_DISTANCE})
+  --limit        Maximum number of bodies to list (default: 25)
+
+Examples:
+  npm run find-genus -- Stratum --near=Colonia --distance=500
+`)
+    process.exit(args.help ? 0 : 1)
+  }
+
+  const distance = parseNumber(args.distance, 'distance', 100)
+  if (distance > MAX_DISTANCE) throw new Error(`--distance can be at most ${MAX_DISTANCE} Ly`)
+  const limit = parseNumber(args.limit, 'limit', 25)
+
+  let origin
+  if (hasCoordinates) {
+    origin = { name: null, x: parseNumber(args.x, 'x'), y: parseNumber(args.y, 'y'), z: parseNumber(args.z, 'z') }
+  } else {
+    const { systemsDb } = require('../lib/db')
+    const system = systemsDb.prepare(`
+      SELECT systemName, systemX, systemY, systemZ FROM systems WHERE systemName = @systemName COLLATE NOCASE
+    `).get({ systemName: args.near })
+    if (!system) throw new Error(`System not found: ${args.near}`)
+    origin = { name: system.systemName, x: system.systemX, y: system.systemY, z: system.systemZ }
+  }
+  if ([origin.x, origin.y, origin.z].some(coordinate => coordinate === undefined)) {
+    throw new Error('Specify all of --x, --y and --z')
+  }
+
+  const { findNearbyBodiesWithGenus } = require('../lib/body-signals')
+  const bodies = findNearbyBodiesWithGenus({ genus: args.genus, x: origin.x, y: origin.y, z: origin.z, distance, limit })
+
+  console.log(`\n🧬 ${bodies.length.toLocaleString()} bodies with ${args.genus} within ${distance.toLocaleString()} Ly of ${origin.name ?? `${origin.x}, ${origin.y}, ${origin.z}`}\n`)
+  for (const body of bodies) {
+    const signals = body.biologicalSignals ? ` (${body.biologicalSignals} biological signals)` : ''
+    console.log(`${body.distance.toFixed(2).padStart(8)} Ly  ${body.bodyName}${signals} ${body.updatedAt}`)
+  }
+  if (bodies.length === limit) console.log(`\n(showing the ${limit} closest, use --limit to show more)`)
+
+  const { closeAllDatabaseConnections } = require('../lib/db')
+  closeAllDatabaseConnections()
+  process.exit(0)
+})().catch(error => {
+  console.error('❌ Genus finder failed:', error.message)
+  process.exit(1)
+})
@@ -1,9 +1,12 @@
-const { systemsDb, locationsDb, stationsDb, tradeDb } = require('../lib/db')
+const { systemsDb, locationsDb, stationsDb, tradeDb, outfittingDb, shipyardDb, bodiesDb, factionsDb } = require('../lib/db')
 const { getISOTimestamp } = require('../lib/utils/dates')
 const {
   TRADE_DATA_MAX_AGE_DAYS,
+  OUTFITTING_DATA_MAX_AGE_DAYS,
+  SHIPYARD_DATA_MAX_AGE_DAYS,
   RESCUE_SHIP_MAX_AGE_DAYS,
-  FLEET_CARRIER_MAX_AGE_DAYS
+  FLEET_CARRIER_MAX_AGE_DAYS,
+  FACTION_INFLUENCE_MAX_AGE_DAYS
 } = require('../lib/consts')
 
 // Using 'VACUUM' can be very slow and use up to 2x the disk space when running.
@@ -26,11 +29,15 @@ console.time('Optimize stationsDb')
 
 // Purge data for Rescue Ships that have not been confirmed as active recently
 stationsDb.exec(`
-  DELETE FROM stations WHERE stations.stationType = 'MegaShip' AND stations.stationName LIKE 'Rescue Ship - %' AND updatedAt <= '${getISOTimestamp(`-${RESCUE_SHIP_MAX_AGE_DAYS}`)}'
+  DELETE FROM stations WHERE stations.stationType = 'MegaShip' AND stations.stationName LIKE 'Rescue Ship - %' AND updatedAt <= '${getISOTimestamp(-RESCUE_SHIP_MAX_AGE_DAYS)}'
 `)
 // Purge data for Fleet Carriers that have not been confirmed as active recently
 stationsDb.exec(`
-  DELETE FROM stations WHERE stations.stationType = 'FleetCarrier' AND updatedAt <= '${getISOTimestamp(`-${FLEET_CARRIER_MAX_AGE_DAYS}`)}'
+  DELETE FROM stations WHERE stations.stationType = 'FleetCarrier' AND updatedAt <= '${getISOTimestamp(-FLEET_CARRIER_MAX_AGE_DAYS)}'
+`)
+// Purge the location history of Fleet Carriers over the same period
+stationsDb.exec(`
+  DELETE FROM carrier_locations WHERE arrivedAt <= '${getISOTimestamp(-FLEET_CARRIER_MAX_AGE_DAYS)}'
 `)
 // Purge GameplayPOI stations. These are the type given to non-dockable
 // installations - once constucted they are no longer valid markets/stations.
@@ -52,7 +59,7 @@ console.time('Optimize tradeDb')
 // Due to limited resources on the cheap Virtual Private Server hosting data
 // more than a year out of data doesn't seem worth the impact on performance.
 tradeDb.exec(`
-  DELETE FROM commodities WHERE updatedAt <= '${getISOTimestamp(`-${TRADE_DATA_MAX_AGE_DAYS}`)}'
+  DELETE FROM commodities WHERE updatedAt <= '${getISOTimestamp(-TRADE_DATA_MAX_AGE_DAYS)}'
 `)
 
 // TODO The trade database specifically should be vacuumed periodically to
@@ -62,6 +69,43 @@ optimize(tradeDb)
 tradeDb.close()
 console.timeEnd('Optimize tradeDb')
 
+// ********* OPTIMIZE OUTFITTING AND SHIPYARD DBS *********
+// Delete outfitting and shipyard data older than OUTFITTING_DATA_MAX_AGE_DAYS
+// and SHIPYARD_DATA_MAX_AGE_DAYS, as with commodity data. This also removes
+// modules and ships a station has stopped selling, as they are no longer
+// updated when new data comes in for it.
+for (const [name, db, table, maxAgeDays] of [
+  ['outfittingDb', outfittingDb, 'modules', OUTFITTING_DATA_MAX_AGE_DAYS],
+  ['shipyardDb', shipyardDb, 'ships', SHIPYARD_DATA_MAX_AGE_DAYS]
+]) {
+  console.time(`Optimize ${name}`)
+  db.exec(`
+    DELETE FROM ${table} WHERE updatedAt <= '${getISOTimestamp(-maxAgeDays)}'
+  `)
+  optimize(db)
+  db.close()
+  console.timeEnd(`Optimize ${name}`)
+}
+
+// ********* OPTIMIZE BODIES DB *********
+console.time('Optimize bodiesDb')
+optimize(bodiesDb)
+bodiesDb.close()
+console.timeEnd('Optimize bodiesDb')
+
+// ********* OPTIMIZE FACTIONS DB *********
+console.time('Optimize factionsDb')
+
+// Delete faction influence history older than FACTION_INFLUENCE_MAX_AGE_DAYS
+// (the factions currently in each system are kept until it is next visited)
+factionsDb.exec(`
+  DELETE FROM faction_influence WHERE updatedAt <= '${getISOTimestamp(-FACTION_INFLUENCE_MAX_AGE_DAYS)}'
+`)
+
+optimize(factionsDb)
+factionsDb.close()
+console.timeEnd('Optimize factionsDb')
+
 // ********* OPTIMIZE SYSTEMS DB *********
 console.time('Optimize systemsDb')
 optimize(systemsDb)
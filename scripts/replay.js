@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+/**
+ * Replay EDDN messages from NDJSON files through the event handlers
+ *
+ * Reads files written by the message archive (lib/message-archive.js), or any
+ * NDJSON file with one EDDN payload per line, and passes each message to the
+ * same event handlers the Collector uses for live messages. Files may be plain
+ * or gzipped (.gz) and directories are expanded to the files they contain.
+ *
+ * Usage:
+ *   npm run replay -- ./eddata-data/archive
+ *   npm run replay -- ./archive/eddn-2025-11-20.ndjson.gz --schema=journal/1 --event=Docked
+ *   npm run replay -- ./archive --data-dir=/tmp/eddata-dev --from=2025-11-20 --to=2025-11-21
+ *
+ * Options:
+ *   --data-dir     Data directory containing the databases to write to
+ *                  (default: EDDATA_DATA_DIR)
+ *   --from         Only replay messages received at or after this time
+ *   --to           Only replay messages received before this time
+ *   --schema       Comma separated list of schemas to replay, e.g. commodity/3
+ *   --event        Comma separated list of journal events to replay, e.g. Docked
+ *   --dry-run      Read and filter messages without writing to the databases
+ *
+ * Messages that fail validation against the bundled JSON Schemas are skipped,
+ * as they would be by the Collector.
+ *
+ * Stop the Collector (or make sure it is not writing to the same data
+ * directory) before replaying a large number of messages.
+ */
+
+const path = require('path')
+const fs = require('fs')
+const readNdjsonMessages = require('../lib/utils/read-ndjson-messages')
+
+const EDDN_SCHEMA_BASE_URL = 'https://eddn.edcd.io/schemas/'
+
+function parseArgs () {
+  const args = { files: [] }
+
+  for (let i = 2; i < process.argv.length; i++) {
+    const arg = process.argv[i]
+
+    if (arg.startsWith('--')) {
+      const [key, value] = arg.substring(2).split('=')
+      args[key] = value === undefined ? true : value
+    } else {
+      args.files.push(arg)
+    }
+  }
+
+  return args
+}
+
+function parseList (value) {
+  if (!value || value === true) return null
+  return value.split(',').map(item => item.trim()).filter(Boolean)
+}
+
+function parseDate (value, name) {
+  if (!value || value === true) return null
+  const date = new Date(value)
+  if (isNaN(date)) throw new Error(`Invalid date for --${name}: ${value}`)
+  return date
+}
+
+// Expand directories and sort so messages are replayed in the order received
+// (archive file names sort chronologically)
+function getFilesToReplay (paths) {
+  const files = []
+  for (const pathToFileOrDir of paths) {
+    if (!fs.existsSync(pathToFileOrDir)) throw new Error(`File not found: ${pathToFileOrDir}`)
+    if (fs.statSync(pathToFileOrDir).isDirectory()) {
+      fs.readdirSync(pathToFileOrDir)
+        .filter(name => name.endsWith('.ndjson') || name.endsWith('.ndjson.gz'))
+        .sort()
+        .forEach(name => files.push(path.join(pathToFileOrDir, name)))
+    } else {
+      files.push(pathToFileOrDir)
+    }
+  }
+  return files
+}
+
+function matchesFilters (payload, receivedAt, filters) {
+  const schema = payload?.$schemaRef ?? ''
+  if (filters.schemas && !filters.schemas.some(s => schema === s || schema === `${EDDN_SCHEMA_BASE_URL}${s}`)) return false
+
+  if (filters.events) {
+    const eventName = payload?.message?.event?.toLowerCase()
+    if (!filters.events.includes(eventName)) return false
+  }
+
+  if (filters.from || filters.to) {
+    const timestamp = new Date(receivedAt ?? payload?.header?.gatewayTimestamp ?? payload?.message?.timestamp)
+    if (isNaN(timestamp)) return false
+    if (filters.from && timestamp < filters.from) return false
+    if (filters.to && timestamp >= filters.to) return false
+  }
+
+  return true
+}
+
+;(async () => {
+  const args = parseArgs()
+
+  if (args.files.length === 0 || args.help) {
+    console.log(`
+EDData EDDN Replay Tool
+
+Usage:
+  npm run replay -- <file or directory> [<file or directory> …] [options]
+
+Options:
+  --data-dir     Data directory containing the databases to write to
+  --from         Only replay messages received at or after this time (ISO 8601)
+  --to           Only replay messages received before this time (ISO 8601)
+  --schema       Comma separated list of schemas, e.g. commodity/3,journal/1
+  --event        Comma separated list of journal events, e.g. Docked,FSDJump
+  --dry-run      Read and filter messages without writing to the databases
+
+Examples:
+  # Preview what would be replayed from the archive
+  npm run replay -- ./eddata-data/archive --dry-run
+
+  # Re-process docked events from one day after fixing a handler bug
+  npm run replay -- ./eddata-data/archive --schema=journal/1 --event=Docked --from=2025-11-20 --to=2025-11-21
+
+  # Seed a fresh development database
+  npm run replay -- ./samples.ndjson.gz --data-dir=/tmp/eddata-dev
+`)
+    process.exit(0)
+  }
+
+  // Must be set before anything that loads lib/consts is required
+  if (args['data-dir'] && args['data-dir'] !== true) {
+    process.env.EDDATA_DATA_DIR = path.resolve(args['data-dir'])
+  }
+
+  const filters = {
+    schemas: parseList(args.schema),
+    events: parseList(args.event)?.map(event => event.toLowerCase()) ?? null,
+    from: parseDate(args.from, 'from'),
+    to: parseDate(args.to, 'to')
+  }
+  const dryRun = args['dry-run'] === true
+  const files = getFilesToReplay(args.files)
+
+  const { getValidationErrors } = require('../lib/payload-validator')
+  let handleEvent = null
+  let runInWriteBatch = null
+  if (!dryRun) {
+    const { EDDATA_DATA_DIR } = require('../lib/consts')
+    console.log(`Replaying into ${EDDATA_DATA_DIR}`)
+    handleEvent = require('../lib/event-handlers').handleEvent
+    runInWriteBatch = require('../lib/write-batcher').runInWriteBatch
+    require('../lib/sql-helper').startCountingWrites()
+  } else {
+    console.log('Dry run, no changes will be made')
+  }
+
+  const summary = {
+    read: 0,
+    skipped: 0,
+    replayed: 0,
+    invalid: 0,
+    errors: 0,
+    schemas: {}
+  }
+
+  console.time('Replay complete')
+  for (const pathToFile of files) {
+    console.log(`Reading ${pathToFile} …`)
+    for await (const { payload, receivedAt } of readNdjsonMessages(pathToFile)) {
+      summary.read++
+
+      if (!matchesFilters(payload, receivedAt, filters)) {
+        summary.skipped++
+        continue
+      }
+
+      const schema = payload?.$schemaRef ?? 'SCHEMA_UNDEFINED'
+
+      // Skip messages the Collector would have rejected
+      const validationErrors = getValidationErrors(payload)
+      if (validationErrors.length > 0) {
+        summary.invalid++
+        if (summary.invalid <= 10) console.error(`Invalid ${schema} message:`, validationErrors.join(', '))
+        continue
+      }
+
+      summary.schemas[schema] = (summary.schemas[schema] ?? 0) + 1
+
+      if (!dryRun) {
+        try {
+          runInWriteBatch(() => handleEvent(payload))
+        } catch (error) {
+          summary.errors++
+          if (summary.errors <= 10) console.error(`Error replaying ${schema} message:`, error.message)
+        }
+      }
+      summary.replayed++
+
+      if (summary.read % 10000 === 0) console.log(`Read ${summary.read.toLocaleString()} messages …`)
+    }
+  }
+  if (!dryRun) require('../lib/write-batcher').flushWriteBatch()
+  console.timeEnd('Replay complete')
+
+  console.log('\nMessages')
+  console.log(`* Read: ${summary.read.toLocaleString()}`)
+  console.log(`* Filtered out: ${summary.skipped.toLocaleString()}`)
+  console.log(`* Invalid: ${summary.invalid.toLocaleString()}`)
+  console.log(`* ${dryRun ? 'Would be replayed' : 'Replayed'}: ${summary.replayed.toLocaleString()}`)
+  if (!dryRun) {
+    const { getCounter } = require('../lib/message-counters')
+    console.log(`* Stale (older than existing data): ${getCounter('stale').total.toLocaleString()}`)
+    console.log(`* Errors: ${summary.errors.toLocaleString()}`)
+  }
+  for (const [schema, count] of Object.entries(summary.schemas)) {
+    console.log(`  - ${schema.replace(EDDN_SCHEMA_BASE_URL, '')}: ${count.toLocaleString()}`)
+  }
+
+  if (!dryRun) {
+    // Counted by lib/sql-helper.js as the handlers wrote them
+    const { getWriteCounts } = require('../lib/sql-helper')
+    console.log('\nTables')
+    for (const [table, { inserted, updated }] of Object.entries(getWriteCounts())) {
+      console.log(`* ${table}: ${inserted.toLocaleString()} inserted, ${updated.toLocaleString()} updated`)
+    }
+
+    const { closeAllDatabaseConnections } = require('../lib/db')
+    closeAllDatabaseConnections()
+  }
+
+  process.exit(summary.errors > 0 ? 1 : 0)
+})().catch(error => {
+  console.error('Replay failed:', error.message)
+  process.exit(1)
+})
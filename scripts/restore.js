@@ -25,12 +25,30 @@ const {
   const pathToSystemsDbBackup = path.join(EDDATA_BACKUP_DIR, '/systems.db')
   const pathToSystemsDbLive = path.join(EDDATA_DATA_DIR, '/systems.db')
 
+  const pathToOutfittingDbBackup = path.join(EDDATA_BACKUP_DIR, '/outfitting.db')
+  const pathToOutfittingDbLive = path.join(EDDATA_DATA_DIR, '/outfitting.db')
+
+  const pathToShipyardDbBackup = path.join(EDDATA_BACKUP_DIR, '/shipyard.db')
+  const pathToShipyardDbLive = path.join(EDDATA_DATA_DIR, '/shipyard.db')
+
+  const pathToBodiesDbBackup = path.join(EDDATA_BACKUP_DIR, '/bodies.db')
+  const pathToBodiesDbLive = path.join(EDDATA_DATA_DIR, '/bodies.db')
+
+  const pathToFactionsDbBackup = path.join(EDDATA_BACKUP_DIR, '/factions.db')
+  const pathToFactionsDbLive = path.join(EDDATA_DATA_DIR, '/factions.db')
+
   if (!fs.existsSync(EDDATA_DATA_DIR)) { fs.mkdirSync(EDDATA_DATA_DIR, { recursive: true }) }
 
   restoreDatabaseFromBackup(pathToLocationsDbBackup, pathToLocationsDbLive)
   restoreDatabaseFromBackup(pathToTradeDbBackup, pathToTradeDbLive)
   restoreDatabaseFromBackup(pathToStationsDbBackup, pathToStationsLive)
   restoreDatabaseFromBackup(pathToSystemsDbBackup, pathToSystemsDbLive)
+  // Backups made before outfitting, shipyard, body and faction data was
+  // collected do not include them
+  if (fs.existsSync(pathToOutfittingDbBackup)) restoreDatabaseFromBackup(pathToOutfittingDbBackup, pathToOutfittingDbLive)
+  if (fs.existsSync(pathToShipyardDbBackup)) restoreDatabaseFromBackup(pathToShipyardDbBackup, pathToShipyardDbLive)
+  if (fs.existsSync(pathToBodiesDbBackup)) restoreDatabaseFromBackup(pathToBodiesDbBackup, pathToBodiesDbLive)
+  if (fs.existsSync(pathToFactionsDbBackup)) restoreDatabaseFromBackup(pathToFactionsDbBackup, pathToFactionsDbLive)
 
   console.timeEnd('Backups restored')
 
@@ -1,5 +1,4 @@
-// Initialize databases to ensure tables and migrations are run before stats generation
-const { systemsDb, locationsDb, stationsDb, tradeDb } = require('../lib/db') // eslint-disable-line no-unused-vars
+const SqliteDatabase = require('better-sqlite3')
 // const { getISOTimestamp } = require('../lib/utils/dates')
 const { execSync } = require('child_process')
 const fs = require('fs')
@@ -39,13 +38,16 @@ module.exports = async () => {
   } else {
     console.log('Checking database integrity...')
     const databases = [
-      { name: 'systems.db', db: systemsDb, path: EDDATA_SYSTEMS_DB },
-      { name: 'stations.db', db: stationsDb, path: EDDATA_STATIONS_DB },
-      { name: 'trade.db', db: tradeDb, path: EDDATA_TRADE_DB }
+      { name: 'systems.db', path: EDDATA_SYSTEMS_DB },
+      { name: 'stations.db', path: EDDATA_STATIONS_DB },
+      { name: 'trade.db', path: EDDATA_TRADE_DB }
     ]
 
-    for (const { name, db, path: dbPath } of databases) {
+    // The main thread does not otherwise open these databases (they are used
+    // by the writer thread), so check them with connections of their own
+    for (const { name, path: dbPath } of databases) {
       if (fs.existsSync(dbPath)) {
+        const db = new SqliteDatabase(dbPath, { readonly: true })
         try {
           // Show progress for large databases
           if (name === 'trade.db') {
@@ -64,6 +66,8 @@ module.exports = async () => {
           }
         } catch (error) {
           console.error(`❌ Failed to check ${name} integrity:`, error.message)
+        } finally {
+          db.close()
         }
       }
     }
@@ -24,6 +24,10 @@ const { createSnapshots, areSnapshotsFresh, getSnapshotPaths } = require('./snap
   const systemsDb = new SqliteDatabase(paths.systemsDb, { readonly: true })
   const locationsDb = new SqliteDatabase(paths.locationsDb, { readonly: true })
   const stationsDb = new SqliteDatabase(paths.stationsDb, { readonly: true })
+  const outfittingDb = new SqliteDatabase(paths.outfittingDb, { readonly: true })
+  const shipyardDb = new SqliteDatabase(paths.shipyardDb, { readonly: true })
+  const bodiesDb = new SqliteDatabase(paths.bodiesDb, { readonly: true })
+  const factionsDb = new SqliteDatabase(paths.factionsDb, { readonly: true })
   
   // Only open trade.db snapshot if it exists (may be skipped on memory-constrained servers)
   const tradeDbExists = !SKIP_TRADE_DB_SNAPSHOTS && fs.existsSync(paths.tradeDb)
@@ -58,6 +62,47 @@ const { createSnapshots, areSnapshotsFresh, getSnapshotPaths } = require('./snap
     last24HoursTimestamp: getISOTimestamp(-1)
   })
 
+  const outfittingStats = outfittingDb.prepare(`
+    SELECT
+      COUNT(DISTINCT marketId) AS markets,
+      COUNT(DISTINCT moduleSymbol) AS uniqueModules,
+      COUNT(DISTINCT CASE WHEN updatedAt > @last24HoursTimestamp THEN marketId END) AS updatedInLast24Hours
+    FROM modules
+  `).get({
+    last24HoursTimestamp: getISOTimestamp(-1)
+  })
+
+  const shipyardStats = shipyardDb.prepare(`
+    SELECT
+      COUNT(DISTINCT marketId) AS markets,
+      COUNT(DISTINCT shipSymbol) AS uniqueShips,
+      COUNT(DISTINCT CASE WHEN updatedAt > @last24HoursTimestamp THEN marketId END) AS updatedInLast24Hours
+    FROM ships
+  `).get({
+    last24HoursTimestamp: getISOTimestamp(-1)
+  })
+
+  const bodyStats = bodiesDb.prepare(`
+    SELECT
+      SUM(CASE WHEN bodyType = 'Star' THEN 1 ELSE 0 END) AS stars,
+      SUM(CASE WHEN bodyType = 'Planet' THEN 1 ELSE 0 END) AS planets,
+      SUM(CASE WHEN landable = 1 THEN 1 ELSE 0 END) AS landable,
+      SUM(CASE WHEN updatedAt > @last24HoursTimestamp THEN 1 ELSE 0 END) AS updatedInLast24Hours
+    FROM bodies
+  `).get({
+    last24HoursTimestamp: getISOTimestamp(-1)
+  })
+
+  const factionStats = factionsDb.prepare(`
+    SELECT
+      COUNT(DISTINCT factionName) AS factions,
+      COUNT(DISTINCT systemAddress) AS systems,
+      COUNT(DISTINCT CASE WHEN updatedAt > @last24HoursTimestamp THEN systemAddress END) AS updatedInLast24Hours
+    FROM system_factions
+  `).get({
+    last24HoursTimestamp: getISOTimestamp(-1)
+  })
+
   // Simple COUNT queries for single-value stats
   const systemCount = systemsDb.prepare('SELECT COUNT(*) as count FROM systems').get().count
   const locationCount = locationsDb.prepare('SELECT COUNT(*) as count FROM locations').get().count
@@ -66,6 +111,17 @@ const { createSnapshots, areSnapshotsFresh, getSnapshotPaths } = require('./snap
   const stats = {
     systems: systemCount || 0,
     pointsOfInterest: locationCount || 0,
+    bodies: {
+      stars: bodyStats?.stars ?? 0,
+      planets: bodyStats?.planets ?? 0,
+      landable: bodyStats?.landable ?? 0,
+      updatedInLast24Hours: bodyStats?.updatedInLast24Hours ?? 0
+    },
+    factions: {
+      factions: factionStats?.factions ?? 0,
+      systems: factionStats?.systems ?? 0,
+      updatedInLast24Hours: factionStats?.updatedInLast24Hours ?? 0
+    },
     stations: {
       stations: stationStats?.stations ?? 0,
       carriers: stationStats?.fleetCarriers ?? 0,
@@ -77,6 +133,16 @@ const { createSnapshots, areSnapshotsFresh, getSnapshotPaths } = require('./snap
       updatedInLast24Hours: commodityStats?.updatedInLast24Hours ?? 0,
       uniqueCommodities: commodityStats?.uniqueCommodities ?? 0
     },
+    outfitting: {
+      markets: outfittingStats?.markets ?? 0,
+      updatedInLast24Hours: outfittingStats?.updatedInLast24Hours ?? 0,
+      uniqueModules: outfittingStats?.uniqueModules ?? 0
+    },
+    shipyard: {
+      markets: shipyardStats?.markets ?? 0,
+      updatedInLast24Hours: shipyardStats?.updatedInLast24Hours ?? 0,
+      uniqueShips: shipyardStats?.uniqueShips ?? 0
+    },
     updatedInLast24Hours: (commodityStats?.updatedInLast24Hours ?? 0) + (stationStats?.updatedInLast24Hours ?? 0),
     timestamp: new Date().toISOString()
   }
@@ -88,5 +154,9 @@ const { createSnapshots, areSnapshotsFresh, getSnapshotPaths } = require('./snap
   systemsDb.close()
   locationsDb.close()
   stationsDb.close()
+  outfittingDb.close()
+  shipyardDb.close()
+  bodiesDb.close()
+  factionsDb.close()
   if (tradeDb) tradeDb.close()
 })()
@@ -0,0 +1,52 @@
+const fs = require('fs')
+const SqliteDatabase = require('better-sqlite3')
+const {
+  EDDATA_CACHE_DIR,
+  EDDATA_FACTION_REPORT_FACTIONS,
+  EDDATA_FACTION_REPORT_DAYS,
+  EDDATA_FACTION_REPORTS
+} = require('../../lib/consts')
+const { getFactionReport } = require('../../lib/stats/faction-stats')
+const { createSnapshots, areSnapshotsFresh, getSnapshotPaths } = require('./snapshot-databases')
+
+// Report on the presence and influence of each of the factions in
+// EDDATA_FACTION_REPORT_FACTIONS (see lib/stats/faction-stats.js)
+;(async () => {
+  const factionNames = EDDATA_FACTION_REPORT_FACTIONS.split(',').map(name => name.trim()).filter(Boolean)
+  if (factionNames.length === 0) {
+    console.log('No factions in EDDATA_FACTION_REPORT_FACTIONS, skipping faction reports')
+    return
+  }
+
+  console.log('Updating faction reports…')
+  console.time('Update faction reports')
+
+  if (!areSnapshotsFresh()) {
+    console.log('Creating database snapshots for stats generation...')
+    createSnapshots()
+  } else {
+    console.log('Using existing database snapshots (still fresh)')
+  }
+
+  const factionsDb = new SqliteDatabase(getSnapshotPaths().factionsDb, { readonly: true })
+
+  const factions = []
+  for (const factionName of factionNames) {
+    const report = getFactionReport(factionsDb, factionName, { days: EDDATA_FACTION_REPORT_DAYS })
+    if (!report) {
+      console.warn(`  ⚠️  Faction '${factionName}' not found in factions database, skipping`)
+      continue
+    }
+    factions.push(report)
+    console.log(`  ${report.factionName}: present in ${report.systems.length} systems, controlling ${report.controlledSystems}`)
+  }
+
+  factionsDb.close()
+
+  if (!fs.existsSync(EDDATA_CACHE_DIR)) { fs.mkdirSync(EDDATA_CACHE_DIR, { recursive: true }) }
+  fs.writeFileSync(EDDATA_FACTION_REPORTS, JSON.stringify({ factions, timestamp: new Date().toISOString() }, null, 2))
+  console.timeEnd('Update faction reports')
+})().catch(error => {
+  console.error('❌ Faction reports failed:', error.message)
+  process.exit(1)
+})
@@ -0,0 +1,108 @@
+const fs = require('fs')
+const SqliteDatabase = require('better-sqlite3')
+const {
+  EDDATA_CACHE_DIR,
+  EDDATA_MINING_HUBS,
+  EDDATA_MINING_HUB_DISTANCE,
+  EDDATA_MINING_HOTSPOTS,
+  SKIP_TRADE_DB_SNAPSHOTS
+} = require('../../lib/consts')
+const { getNearbySystemSectors } = require('../../lib/system-sectors')
+const { createSnapshots, areSnapshotsFresh, getSnapshotPaths } = require('./snapshot-databases')
+
+// Report on the best overlapping mining hotspots in rings (where a ring has
+// more than one hotspot for the same commodity) near each of the hubs in
+// EDDATA_MINING_HUBS, with the best price each commodity currently sells for
+// near the hub. Fleet Carriers are not included when looking for prices, as
+// they move around too often for the prices to be useful.
+const MAX_HOTSPOTS_PER_HUB = 25
+
+function getHotspotsNearHub (bodiesDb, hub, distance) {
+  const nearbySectors = getNearbySystemSectors(hub.systemX, hub.systemY, hub.systemZ, distance)
+  return bodiesDb.prepare(`
+    SELECT systemAddress, systemName, ringName, commodityName, count, updatedAt,
+      SQRT(POWER(systemX-@x,2)+POWER(systemY-@y,2)+POWER(systemZ-@z,2)) AS distance
+    FROM ring_hotspots
+    WHERE count > 1
+    AND systemSector IN (${nearbySectors.map(() => '?').join(', ')})
+    AND SQRT(POWER(systemX-@x,2)+POWER(systemY-@y,2)+POWER(systemZ-@z,2)) < @distance
+    ORDER BY count DESC, distance ASC
+    LIMIT @limit
+  `).all(nearbySectors, { x: hub.systemX, y: hub.systemY, z: hub.systemZ, distance, limit: MAX_HOTSPOTS_PER_HUB })
+}
+
+function getBestSellPriceNearHub (tradeDb, commodityName, hub, distance) {
+  return tradeDb.prepare(`
+    SELECT c.sellPrice, c.demand, c.updatedAt, s.marketId, s.stationName, s.systemName, s.maxLandingPadSize,
+      SQRT(POWER(s.systemX-@x,2)+POWER(s.systemY-@y,2)+POWER(s.systemZ-@z,2)) AS distance
+    FROM commodities c
+    JOIN stationsDb.stations s ON c.marketId = s.marketId
+    WHERE c.commodityName = @commodityName
+    AND c.demand > 0
+    AND (s.stationType IS NULL OR s.stationType != 'FleetCarrier')
+    AND s.systemX BETWEEN (@x-@distance) AND (@x+@distance)
+    AND s.systemY BETWEEN (@y-@distance) AND (@y+@distance)
+    AND s.systemZ BETWEEN (@z-@distance) AND (@z+@distance)
+    AND SQRT(POWER(s.systemX-@x,2)+POWER(s.systemY-@y,2)+POWER(s.systemZ-@z,2)) < @distance
+    ORDER BY c.sellPrice DESC
+    LIMIT 1
+  `).get({ commodityName, x: hub.systemX, y: hub.systemY, z: hub.systemZ, distance }) ?? null
+}
+
+;(async () => {
+  console.log('Updating mining hotspots…')
+  console.time('Update mining hotspots')
+
+  if (!areSnapshotsFresh()) {
+    console.log('Creating database snapshots for stats generation...')
+    createSnapshots()
+  } else {
+    console.log('Using existing database snapshots (still fresh)')
+  }
+
+  const paths = getSnapshotPaths()
+  const bodiesDb = new SqliteDatabase(paths.bodiesDb, { readonly: true })
+  const systemsDb = new SqliteDatabase(paths.systemsDb, { readonly: true })
+
+  // Prices are left out if the trade.db snapshot is not available
+  const tradeDbExists = !SKIP_TRADE_DB_SNAPSHOTS && fs.existsSync(paths.tradeDb)
+  const tradeDb = tradeDbExists ? new SqliteDatabase(paths.tradeDb, { readonly: true }) : null
+  if (tradeDb) {
+    tradeDb.exec(`ATTACH DATABASE '${paths.stationsDb}' AS stationsDb`)
+  } else {
+    console.log('  ⚡ Skipping sell prices (trade.db snapshot not available)')
+  }
+
+  const hubs = []
+  for (const hubName of EDDATA_MINING_HUBS.split(',').map(name => name.trim()).filter(Boolean)) {
+    const hub = systemsDb.prepare(`
+      SELECT systemAddress, systemName, systemX, systemY, systemZ FROM systems WHERE systemName = @systemName COLLATE NOCASE
+    `).get({ systemName: hubName })
+    if (!hub) {
+      console.warn(`  ⚠️  Mining hub '${hubName}' not found in systems database, skipping`)
+      continue
+    }
+
+    const bestSellPrices = {}
+    const hotspots = getHotspotsNearHub(bodiesDb, hub, EDDATA_MINING_HUB_DISTANCE).map(hotspot => {
+      if (tradeDb && !(hotspot.commodityName in bestSellPrices)) {
+        bestSellPrices[hotspot.commodityName] = getBestSellPriceNearHub(tradeDb, hotspot.commodityName, hub, EDDATA_MINING_HUB_DISTANCE)
+      }
+      return { ...hotspot, bestSellPrice: bestSellPrices[hotspot.commodityName] ?? null }
+    })
+
+    hubs.push({ ...hub, distance: EDDATA_MINING_HUB_DISTANCE, hotspots })
+    console.log(`  ${hub.systemName}: ${hotspots.length} overlapping hotspots within ${EDDATA_MINING_HUB_DISTANCE} Ly`)
+  }
+
+  bodiesDb.close()
+  systemsDb.close()
+  if (tradeDb) tradeDb.close()
+
+  if (!fs.existsSync(EDDATA_CACHE_DIR)) { fs.mkdirSync(EDDATA_CACHE_DIR, { recursive: true }) }
+  fs.writeFileSync(EDDATA_MINING_HOTSPOTS, JSON.stringify({ hubs, timestamp: new Date().toISOString() }, null, 2))
+  console.timeEnd('Update mining hotspots')
+})().catch(error => {
+  console.error('❌ Mining hotspots failed:', error.message)
+  process.exit(1)
+})
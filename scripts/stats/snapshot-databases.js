@@ -1,6 +1,6 @@
 const path = require('node:path')
 const fs = require('node:fs')
-const { systemsDb, locationsDb, stationsDb, tradeDb } = require('../../lib/db')
+const { systemsDb, locationsDb, stationsDb, tradeDb, outfittingDb, shipyardDb, bodiesDb, factionsDb } = require('../../lib/db')
 const { SKIP_TRADE_DB_SNAPSHOTS } = require('../../lib/consts')
 
 /**
@@ -18,7 +18,11 @@ const databases = [
   { db: systemsDb, name: 'systems.db' },
   { db: locationsDb, name: 'locations.db' },
   { db: stationsDb, name: 'stations.db' },
-  { db: tradeDb, name: 'trade.db' }
+  { db: tradeDb, name: 'trade.db' },
+  { db: outfittingDb, name: 'outfitting.db' },
+  { db: shipyardDb, name: 'shipyard.db' },
+  { db: bodiesDb, name: 'bodies.db' },
+  { db: factionsDb, name: 'factions.db' }
 ]
 
 /**
@@ -101,7 +105,11 @@ function getSnapshotPaths () {
     systemsDb: path.join(SNAPSHOT_DIR, 'systems.db'),
     locationsDb: path.join(SNAPSHOT_DIR, 'locations.db'),
     stationsDb: path.join(SNAPSHOT_DIR, 'stations.db'),
-    tradeDb: path.join(SNAPSHOT_DIR, 'trade.db')
+    tradeDb: path.join(SNAPSHOT_DIR, 'trade.db'),
+    outfittingDb: path.join(SNAPSHOT_DIR, 'outfitting.db'),
+    shipyardDb: path.join(SNAPSHOT_DIR, 'shipyard.db'),
+    bodiesDb: path.join(SNAPSHOT_DIR, 'bodies.db'),
+    factionsDb: path.join(SNAPSHOT_DIR, 'factions.db')
   }
 }
 
@@ -0,0 +1,64 @@
+const fs = require('fs')
+const SqliteDatabase = require('better-sqlite3')
+const { EDDATA_CACHE_DIR, EDDATA_COLLECTOR_DB, EDDATA_SOFTWARE_STATS, EDDATA_SOFTWARE_BLOCKLIST } = require('../../lib/consts')
+const { getISODate } = require('../../lib/utils/dates')
+
+// Report on the software uploading to EDDN, from the counts the Collector keeps
+// in collector.db, so software (or versions of software) sending bad data can
+// be identified and added to EDDATA_SOFTWARE_BLOCKLIST if needed.
+//
+// The Collector adds its counts to the database every minute, so the report
+// can be up to a minute behind.
+function getSoftwareStats (collectorDb, fromDay) {
+  return collectorDb.prepare(`
+    SELECT
+      softwareName,
+      softwareVersion,
+      SUM(messages) AS messages,
+      SUM(rejected) AS rejected,
+      SUM(failed) AS failed,
+      SUM(blocked) AS blocked,
+      MAX(uploaders) AS uploaders,
+      MIN(firstSeenAt) AS firstSeenAt,
+      MAX(lastSeenAt) AS lastSeenAt
+    FROM software_stats
+    WHERE day >= @fromDay
+    GROUP BY softwareName, softwareVersion
+    ORDER BY messages DESC
+  `).all({ fromDay }).map(stats => ({
+    ...stats,
+    rejectionRate: stats.messages > 0 ? Number((stats.rejected / stats.messages).toFixed(4)) : 0,
+    failureRate: stats.messages > 0 ? Number((stats.failed / stats.messages).toFixed(4)) : 0
+  }))
+}
+
+;(async () => {
+  console.log('Updating software stats…')
+  console.time('Update software stats')
+
+  if (!fs.existsSync(EDDATA_COLLECTOR_DB)) throw new Error(`Collector database not found: ${EDDATA_COLLECTOR_DB}`)
+  const collectorDb = new SqliteDatabase(EDDATA_COLLECTOR_DB, { readonly: true })
+
+  // Daily counts include today, so "last 24 hours" is today and yesterday
+  // (uploaders are the most seen on any one day, as they are counted per day)
+  const stats = {
+    last24Hours: getSoftwareStats(collectorDb, getISODate(-1)),
+    last7Days: getSoftwareStats(collectorDb, getISODate(-7)),
+    blocklist: EDDATA_SOFTWARE_BLOCKLIST.split(',').map(entry => entry.trim()).filter(Boolean),
+    timestamp: new Date().toISOString()
+  }
+  collectorDb.close()
+
+  if (!fs.existsSync(EDDATA_CACHE_DIR)) { fs.mkdirSync(EDDATA_CACHE_DIR, { recursive: true }) }
+  fs.writeFileSync(EDDATA_SOFTWARE_STATS, JSON.stringify(stats, null, 2))
+
+  for (const software of stats.last24Hours.slice(0, 10)) {
+    console.log(`  ${software.softwareName} ${software.softwareVersion}: ${software.messages.toLocaleString()} messages, ` +
+      `${(software.rejectionRate * 100).toFixed(1)}% rejected, ${(software.failureRate * 100).toFixed(1)}% failed` +
+      `${software.blocked > 0 ? `, ${software.blocked.toLocaleString()} blocked` : ''}`)
+  }
+  console.timeEnd('Update software stats')
+})().catch(error => {
+  console.error('❌ Software stats failed:', error.message)
+  process.exit(1)
+})
@@ -0,0 +1,71 @@
+const fs = require('fs')
+const SqliteDatabase = require('better-sqlite3')
+const { EDDATA_CACHE_DIR, EDDATA_COLLECTOR_DB, EDDATA_THROTTLED_SOURCES } = require('../../lib/consts')
+const { getISODate } = require('../../lib/utils/dates')
+
+// Report on uploaders whose messages have been ignored for sending too many
+// about the same market, body or system (see lib/uploader-throttle.js), with
+// the markets, bodies and systems they were sending messages about, so
+// persistent sources of bad data can be reported to the authors of the
+// software they are using.
+//
+// The Collector adds its counts to the database every minute, so the report
+// can be up to a minute behind.
+function getThrottledSources (collectorDb, fromDay) {
+  const uploaders = collectorDb.prepare(`
+    SELECT
+      uploaderHash,
+      softwareName,
+      softwareVersion,
+      SUM(throttled) AS throttled,
+      SUM(quarantined) AS quarantined,
+      MIN(firstThrottledAt) AS firstThrottledAt,
+      MAX(lastThrottledAt) AS lastThrottledAt
+    FROM throttled_sources
+    WHERE day >= @fromDay
+    GROUP BY uploaderHash
+    ORDER BY throttled + quarantined DESC
+    LIMIT 100
+  `).all({ fromDay })
+
+  const getTargets = collectorDb.prepare(`
+    SELECT target, schemaRef, SUM(throttled) AS throttled, SUM(quarantined) AS quarantined
+    FROM throttled_sources
+    WHERE uploaderHash = @uploaderHash AND day >= @fromDay
+    GROUP BY target
+    ORDER BY throttled + quarantined DESC
+    LIMIT 10
+  `)
+
+  return uploaders.map(uploader => ({
+    ...uploader,
+    targets: getTargets.all({ uploaderHash: uploader.uploaderHash, fromDay })
+  }))
+}
+
+;(async () => {
+  console.log('Updating throttled sources…')
+  console.time('Update throttled sources')
+
+  if (!fs.existsSync(EDDATA_COLLECTOR_DB)) throw new Error(`Collector database not found: ${EDDATA_COLLECTOR_DB}`)
+  const collectorDb = new SqliteDatabase(EDDATA_COLLECTOR_DB, { readonly: true })
+
+  const stats = {
+    last24Hours: getThrottledSources(collectorDb, getISODate(-1)),
+    last7Days: getThrottledSources(collectorDb, getISODate(-7)),
+    timestamp: new Date().toISOString()
+  }
+  collectorDb.close()
+
+  if (!fs.existsSync(EDDATA_CACHE_DIR)) { fs.mkdirSync(EDDATA_CACHE_DIR, { recursive: true }) }
+  fs.writeFileSync(EDDATA_THROTTLED_SOURCES, JSON.stringify(stats, null, 2))
+
+  for (const uploader of stats.last24Hours.slice(0, 10)) {
+    console.log(`  ${uploader.uploaderHash.substring(0, 12)} (${uploader.softwareName} ${uploader.softwareVersion}): ` +
+      `${uploader.throttled.toLocaleString()} throttled, ${uploader.quarantined.toLocaleString()} while quarantined`)
+  }
+  console.timeEnd('Update throttled sources')
+})().catch(error => {
+  console.error('❌ Throttled sources failed:', error.message)
+  process.exit(1)
+})
@@ -50,7 +50,11 @@ const compressedBackups = [
   'locations.db.gz',
   'stations.db.gz',
   'systems.db.gz',
-  'trade.db.gz'
+  'trade.db.gz',
+  'outfitting.db.gz',
+  'shipyard.db.gz',
+  'bodies.db.gz',
+  'factions.db.gz'
 ]
 
 async function uploadToR2 (filePath, key) {
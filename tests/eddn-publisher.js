@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for an EDDN relay, for testing the Collector without network
+ * access to the live relay
+ *
+ * Publishes payloads on a ZeroMQ PUB socket, compressed with zlib in the same
+ * way as EDDN, at a configurable rate. Payloads are read from JSON files (e.g.
+ * tests/payload-examples) or from NDJSON files such as those written by the
+ * message archive. Directories are searched for .json, .ndjson and
+ * .ndjson.gz files.
+ *
+ * Usage:
+ *   npm run test:publisher
+ *   npm run test:publisher -- ./eddata-data/archive/eddn-2025-11-20.ndjson.gz --rate=100
+ *   npm run test:publisher -- --loop --now --repeat=2
+ *
+ * Then start the Collector with a temporary data directory, pointed at it:
+ *   EDDN_SERVER=tcp://127.0.0.1:9600 EDDATA_DATA_DIR=/tmp/eddata-test npm start
+ *
+ * Options:
+ *   --bind         Address to publish on (default: tcp://127.0.0.1:9600)
+ *   --rate         Messages per second, 0 for as fast as possible (default: 10)
+ *   --count        Stop after publishing this many messages
+ *   --loop         Keep publishing the payloads again from the start
+ *   --repeat       Publish each payload this many times in a row, to test
+ *                  duplicate detection (default: 1)
+ *   --now          Set the timestamps in each payload to the current time, so
+ *                  they are not ignored as older than data already stored
+ *   --delay        Seconds to wait for subscribers to connect before
+ *                  publishing (default: 1)
+ */
+
+const path = require('path')
+const fs = require('fs')
+const zlib = require('zlib')
+const zmq = require('zeromq')
+const readNdjsonMessages = require('../lib/utils/read-ndjson-messages')
+
+const PAYLOAD_EXAMPLES_DIR = path.join(__dirname, 'payload-examples')
+
+function parseArgs () {
+  const args = { files: [] }
+
+  for (let i = 2; i < process.argv.length; i++) {
+    const arg = process.argv[i]
+
+    if (arg.startsWith('--')) {
+      const [key, value] = arg.substring(2).split('=')
+      args[key] = value === undefined ? true : value
+    } else {
+      args.files.push(arg)
+    }
+  }
+
+  return args
+}
+
+function getFilesToPublish (paths) {
+  const files = []
+  for (const pathToFileOrDir of paths) {
+    if (!fs.existsSync(pathToFileOrDir)) throw new Error(`File not found: ${pathToFileOrDir}`)
+    if (fs.statSync(pathToFileOrDir).isDirectory()) {
+      for (const entry of fs.readdirSync(pathToFileOrDir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+        const pathToEntry = path.join(pathToFileOrDir, entry.name)
+        if (entry.isDirectory()) {
+          files.push(...getFilesToPublish([pathToEntry]))
+        } else if (/\.(json|ndjson|ndjson\.gz)$/.test(entry.name) && entry.name !== 'manifest.json') {
+          files.push(pathToEntry)
+        }
+      }
+    } else {
+      files.push(pathToFileOrDir)
+    }
+  }
+  return files
+}
+
+async function * readPayloads (files) {
+  for (const pathToFile of files) {
+    if (pathToFile.endsWith('.json')) {
+      yield JSON.parse(fs.readFileSync(pathToFile))
+    } else {
+      for await (const { payload } of readNdjsonMessages(pathToFile)) yield payload
+    }
+  }
+}
+
+function withCurrentTimestamps (payload) {
+  const now = new Date().toISOString()
+  const updatedPayload = structuredClone(payload)
+  updatedPayload.header = { ...updatedPayload.header, gatewayTimestamp: now }
+  if (updatedPayload.message?.timestamp) updatedPayload.message.timestamp = now
+  return updatedPayload
+}
+
+;(async () => {
+  const args = parseArgs()
+  const bind = args.bind && args.bind !== true ? args.bind : 'tcp://127.0.0.1:9600'
+  const rate = args.rate && args.rate !== true ? parseFloat(args.rate) : 10
+  const count = args.count && args.count !== true ? parseInt(args.count) : Infinity
+  const repeat = args.repeat && args.repeat !== true ? parseInt(args.repeat) : 1
+  const delay = args.delay && args.delay !== true ? parseFloat(args.delay) : 1
+  const files = getFilesToPublish(args.files.length > 0 ? args.files : [PAYLOAD_EXAMPLES_DIR])
+  if (files.length === 0) throw new Error('No payloads found to publish')
+
+  const socket = new zmq.Publisher()
+  await socket.bind(bind)
+  console.log(`📡 Publishing ${files.length} file(s) on ${bind} at ${rate > 0 ? `${rate} messages/s` : 'full speed'}`)
+
+  // Stop publishing (but still exit cleanly) on Ctrl+C
+  const stop = new AbortController()
+  process.on('SIGINT', () => stop.abort())
+  process.on('SIGTERM', () => stop.abort())
+
+  // Subscribers miss anything published before they have connected
+  await new Promise(resolve => setTimeout(resolve, delay * 1000))
+
+  const intervalInMs = rate > 0 ? 1000 / rate : 0
+  const startTime = Date.now()
+  let published = 0
+
+  do {
+    for await (const payload of readPayloads(files)) {
+      const message = zlib.deflateSync(JSON.stringify(args.now === true ? withCurrentTimestamps(payload) : payload))
+      for (let i = 0; i < repeat && published < count && !stop.signal.aborted; i++) {
+        await socket.send(message)
+        published++
+
+        if (published % 1000 === 0) console.log(`Published ${published.toLocaleString()} messages …`)
+
+        // Pace messages against the start time, so the rate stays accurate
+        // even if sending takes a while
+        const waitInMs = startTime + published * intervalInMs - Date.now()
+        if (waitInMs > 0) await new Promise(resolve => setTimeout(resolve, waitInMs))
+      }
+      if (published >= count || stop.signal.aborted) break
+    }
+  } while (args.loop === true && published < count && !stop.signal.aborted)
+
+  console.log(`✅ Published ${published.toLocaleString()} messages in ${((Date.now() - startTime) / 1000).toFixed(1)}s`)
+
+  // Give the last messages time to be sent before closing the socket
+  await new Promise(resolve => setTimeout(resolve, 500))
+  socket.close()
+  process.exit(0)
+})().catch(error => {
+  console.error('❌ Publisher failed:', error.message)
+  process.exit(1)
+})
@@ -0,0 +1,125 @@
+const { getPayloadExample } = require('../unit/setup')
+const fs = require('fs')
+const path = require('path')
+const { spawn } = require('child_process')
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const SqliteDatabase = require('better-sqlite3')
+
+// Runs the Collector against tests/eddn-publisher.js publishing the payload
+// examples, then checks what was written to the databases in the temporary
+// data directory
+const RELAY = 'tcp://127.0.0.1:9704'
+const COLLECTOR_PORT = 3904
+const PAYLOAD_EXAMPLES = fs.readdirSync(path.join(__dirname, '../payload-examples'), { recursive: true }).filter(fileName => fileName.endsWith('.json'))
+
+const { EDDATA_DATA_DIR } = process.env
+const EDDATA_BACKUP_DIR = path.join(EDDATA_DATA_DIR, 'backup')
+
+let collector = null
+let collectorExited = null
+
+function run (script, args, env = {}) {
+  return spawn(process.execPath, [path.join(__dirname, '../..', script), ...args], {
+    env: { ...process.env, ...env },
+    stdio: 'ignore'
+  })
+}
+
+function waitForExit (childProcess) {
+  return new Promise(resolve => childProcess.once('exit', resolve))
+}
+
+async function getHealth () {
+  try {
+    const response = await fetch(`http://127.0.0.1:${COLLECTOR_PORT}/health`)
+    return await response.json()
+  } catch {
+    return null // Not listening yet
+  }
+}
+
+async function waitForHealth (condition, timeoutInMs) {
+  const startTime = Date.now()
+  let health = await getHealth()
+  while (!health || !condition(health)) {
+    if (Date.now() - startTime > timeoutInMs) throw new Error(`Timed out after ${timeoutInMs}ms, health: ${JSON.stringify(health)}`)
+    await new Promise(resolve => setTimeout(resolve, 100))
+    health = await getHealth()
+  }
+  return health
+}
+
+function openDatabase (fileName) {
+  return new SqliteDatabase(path.join(EDDATA_DATA_DIR, fileName), { readonly: true })
+}
+
+before(async () => {
+  // Without a backup log the Collector makes a backup when it starts
+  fs.mkdirSync(EDDATA_BACKUP_DIR)
+  fs.writeFileSync(path.join(EDDATA_BACKUP_DIR, 'backup.log'), '')
+
+  collector = run('index.js', [], {
+    EDDN_SERVER: RELAY,
+    EDDATA_BACKUP_DIR,
+    EDDATA_COLLECTOR_LOCAL_PORT: COLLECTOR_PORT,
+    SKIP_STARTUP_MAINTENANCE: 'true'
+  })
+  collectorExited = waitForExit(collector)
+  await waitForHealth(() => true, 30000)
+
+  const publisher = run('tests/eddn-publisher.js', [`--bind=${RELAY}`, '--rate=0', '--now'])
+  assert.equal(await waitForExit(publisher), 0)
+  await waitForHealth(({ eddn, pipeline }) => eddn.messagesReceived === PAYLOAD_EXAMPLES.length && pipeline.messages === 0, 30000)
+
+  // Stopping the Collector commits any writes it is holding
+  collector.kill('SIGTERM')
+  assert.equal(await collectorExited, 0)
+})
+
+after(() => {
+  if (collector.exitCode === null) collector.kill('SIGKILL')
+})
+
+describe('Collector', () => {
+  it('writes every payload example without rejecting or failing any', () => {
+    const collectorDb = openDatabase('collector.db')
+    assert.equal(collectorDb.prepare('SELECT COUNT(*) AS count FROM rejected_payloads').get().count, 0)
+    assert.equal(collectorDb.prepare('SELECT COUNT(*) AS count FROM dead_letters').get().count, 0)
+    collectorDb.close()
+  })
+
+  it('writes commodity, outfitting and shipyard messages', () => {
+    const { message: commodity } = getPayloadExample('commodity_3.json')
+    const tradeDb = openDatabase('trade.db')
+    assert.equal(tradeDb.prepare('SELECT COUNT(*) AS count FROM commodities WHERE marketId = ?').get(commodity.marketId).count, commodity.commodities.length)
+    tradeDb.close()
+
+    const { message: outfitting } = getPayloadExample('outfitting_2.json')
+    const outfittingDb = openDatabase('outfitting.db')
+    assert.equal(outfittingDb.prepare('SELECT COUNT(*) AS count FROM modules WHERE marketId = ?').get(outfitting.marketId).count, outfitting.modules.length)
+    outfittingDb.close()
+
+    const { message: shipyard } = getPayloadExample('shipyard_2.json')
+    const shipyardDb = openDatabase('shipyard.db')
+    assert.equal(shipyardDb.prepare('SELECT COUNT(*) AS count FROM ships WHERE marketId = ?').get(shipyard.marketId).count, shipyard.ships.length)
+    shipyardDb.close()
+  })
+
+  it('writes systems, stations and bodies from journal events', () => {
+    const { message: fsdJump } = getPayloadExample('journal_1/fsdjump.json')
+    const systemsDb = openDatabase('systems.db')
+    assert.equal(systemsDb.prepare('SELECT systemName FROM systems WHERE systemAddress = ?').get(fsdJump.SystemAddress)?.systemName, fsdJump.StarSystem)
+    systemsDb.close()
+
+    const { message: docked } = getPayloadExample('journal_1/docked.json')
+    const stationsDb = openDatabase('stations.db')
+    assert.equal(stationsDb.prepare('SELECT stationName FROM stations WHERE marketId = ?').get(docked.MarketID)?.stationName, docked.StationName)
+    stationsDb.close()
+
+    const { message: scan } = getPayloadExample('journal_1/scan.json')
+    const bodiesDb = openDatabase('bodies.db')
+    assert.equal(bodiesDb.prepare('SELECT bodyName FROM bodies WHERE systemAddress = ? AND bodyId = ?').get(scan.SystemAddress, scan.BodyID)?.bodyName, scan.BodyName)
+    bodiesDb.close()
+  })
+})
@@ -0,0 +1,66 @@
+require('./setup')
+const FIRST_RELAY = 'tcp://127.0.0.1:9701'
+const SECOND_RELAY = 'tcp://127.0.0.1:9702'
+process.env.EDDN_SERVER = `${FIRST_RELAY},${SECOND_RELAY}`
+process.env.EDDN_SILENCE_TIMEOUT_SECONDS = 1
+
+const path = require('path')
+const { spawn } = require('child_process')
+const { describe, it, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startEddnSubscriber, stopEddnSubscriber, getEddnConnectionState } = require('../../lib/eddn-subscriber')
+
+// As set in lib/eddn-subscriber.js for a silence timeout of 1 second
+const WATCHDOG_INTERVAL_IN_MS = 250
+
+const publishers = []
+
+after(() => {
+  stopEddnSubscriber()
+  for (const publisher of publishers) publisher.kill()
+})
+
+// Runs tests/eddn-publisher.js, publishing the payload examples on a loop
+function startPublisher (bind) {
+  const publisher = spawn(process.execPath, [path.join(__dirname, '../eddn-publisher.js'), `--bind=${bind}`, '--loop', '--now', '--rate=20', '--delay=0'], { stdio: 'ignore' })
+  publishers.push(publisher)
+  return publisher
+}
+
+function stopPublisher (publisher) {
+  return new Promise(resolve => {
+    publisher.once('exit', resolve)
+    publisher.kill()
+  })
+}
+
+async function waitFor (condition, timeoutInMs) {
+  const startTime = Date.now()
+  while (!condition()) {
+    if (Date.now() - startTime > timeoutInMs) throw new Error(`Timed out after ${timeoutInMs}ms`)
+    await new Promise(resolve => setTimeout(resolve, 10))
+  }
+}
+
+describe('startEddnSubscriber', () => {
+  it('fails over to the next relay once no messages arrive from the current one', async () => {
+    const firstPublisher = startPublisher(FIRST_RELAY)
+    startPublisher(SECOND_RELAY)
+
+    const received = []
+    startEddnSubscriber(() => received.push({ server: getEddnConnectionState().server, receivedAt: Date.now() }))
+    await waitFor(() => received.some(({ server }) => server === FIRST_RELAY), 10000)
+    assert.equal(getEddnConnectionState().failovers, 0)
+
+    await stopPublisher(firstPublisher)
+    const lastMessageAt = received.findLast(({ server }) => server === FIRST_RELAY).receivedAt
+
+    // The watchdog notices the silence on its first check after the timeout
+    await waitFor(() => getEddnConnectionState().server === SECOND_RELAY, 5000)
+    const failedOverAfter = Date.now() - lastMessageAt
+    assert.ok(failedOverAfter <= 1000 + WATCHDOG_INTERVAL_IN_MS + 100, `Failed over after ${failedOverAfter}ms`)
+    assert.equal(getEddnConnectionState().failovers, 1)
+
+    await waitFor(() => received.some(({ server }) => server === SECOND_RELAY), 5000)
+  })
+})
@@ -0,0 +1,34 @@
+require('./setup')
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { Worker } = require('worker_threads')
+
+// Stands in for the writer worker: records a call while running a task (sent
+// back with the result) and another from a timer afterwards, as the write
+// batcher does when it commits a batch
+const WORKER_SOURCE = `
+const { parentPort } = require('worker_threads')
+const { forwardToMainThread, takeForwardedCalls } = require(${JSON.stringify(require.resolve('../../lib/utils/main-thread'))})
+parentPort.on('message', ({ id }) => {
+  forwardToMainThread('metrics', 'observeDatabaseWriteDuration', ['message', 0.1])
+  parentPort.postMessage({ id, forwardedCalls: takeForwardedCalls() })
+  setTimeout(() => forwardToMainThread('metrics', 'observeDatabaseWriteDuration', ['batch_commit', 0.2]), 10)
+})
+`
+
+describe('forwardToMainThread', () => {
+  it('sends calls made outside of a task when they are made', async () => {
+    const worker = new Worker(WORKER_SOURCE, { eval: true })
+    const messages = []
+    worker.on('message', message => messages.push(message))
+    await new Promise(resolve => worker.once('online', resolve))
+    worker.postMessage({ id: 1 })
+    await new Promise(resolve => setTimeout(resolve, 200))
+    await worker.terminate()
+
+    assert.deepEqual(messages, [
+      { id: 1, forwardedCalls: [['metrics', 'observeDatabaseWriteDuration', ['message', 0.1]]] },
+      { forwardedCalls: [['metrics', 'observeDatabaseWriteDuration', ['batch_commit', 0.2]]] }
+    ])
+  })
+})
@@ -0,0 +1,75 @@
+const { getPayloadExample } = require('./setup')
+process.env.EDDATA_DEDUP_WINDOW_SECONDS = 300
+process.env.EDDATA_DEDUP_SCHEMA_WINDOWS = 'commodity/3=60,navroute/1=0'
+process.env.EDDATA_DEDUP_MAX_ENTRIES = 3
+
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { getMessageHash, isDuplicateMessage, getDedupCacheSize } = require('../../lib/message-dedup')
+const { getCounter } = require('../../lib/message-counters')
+
+const docked = getPayloadExample('journal_1/docked.json')
+const commodity = getPayloadExample('commodity_3.json')
+const navRoute = getPayloadExample('navroute_1.json')
+
+// Each test uses messages for its own station, so they are not duplicates of
+// messages from other tests
+function dockedAt (StationName, header = {}) {
+  return { ...docked, header: { ...docked.header, ...header }, message: { ...docked.message, StationName } }
+}
+
+function secondsAfter (date, seconds) {
+  return new Date(date.getTime() + seconds * 1000)
+}
+
+describe('getMessageHash', () => {
+  it('ignores the header and the order of keys in the message', () => {
+    const reordered = Object.fromEntries(Object.entries(docked.message).reverse())
+    const resent = { ...docked, header: { ...docked.header, softwareName: 'Other Software' }, message: reordered }
+    assert.equal(getMessageHash(resent), getMessageHash(docked))
+    assert.notEqual(getMessageHash(dockedAt('Somewhere Else')), getMessageHash(docked))
+  })
+})
+
+describe('isDuplicateMessage', () => {
+  it('ignores the same message within the window, and counts it', () => {
+    const receivedAt = new Date('2026-10-19T12:00:00Z')
+    const { total } = getCounter('duplicate')
+    assert.equal(isDuplicateMessage(dockedAt('Station A'), receivedAt), false)
+    assert.equal(isDuplicateMessage(dockedAt('Station A', { uploaderID: 'someone else' }), secondsAfter(receivedAt, 10)), true)
+    assert.equal(getCounter('duplicate').total, total + 1)
+  })
+
+  it('accepts the message again once the window has passed since it was first accepted', () => {
+    const receivedAt = new Date('2026-10-19T12:00:00Z')
+    assert.equal(isDuplicateMessage(dockedAt('Station B'), receivedAt), false)
+    // Duplicates do not extend the window
+    assert.equal(isDuplicateMessage(dockedAt('Station B'), secondsAfter(receivedAt, 200)), true)
+    assert.equal(isDuplicateMessage(dockedAt('Station B'), secondsAfter(receivedAt, 300)), false)
+  })
+
+  it('uses the window set for a schema', () => {
+    const receivedAt = new Date('2026-10-19T12:00:00Z')
+    assert.equal(isDuplicateMessage(commodity, receivedAt), false)
+    assert.equal(isDuplicateMessage(commodity, secondsAfter(receivedAt, 59)), true)
+    assert.equal(isDuplicateMessage(commodity, secondsAfter(receivedAt, 60)), false)
+
+    // A window of 0 turns off duplicate detection
+    assert.equal(isDuplicateMessage(navRoute, receivedAt), false)
+    assert.equal(isDuplicateMessage(navRoute, receivedAt), false)
+  })
+
+  it('forgets the least recently seen message once there are too many', () => {
+    const receivedAt = new Date('2026-10-19T12:00:00Z')
+    isDuplicateMessage(dockedAt('Station C'), receivedAt)
+    isDuplicateMessage(dockedAt('Station D'), receivedAt)
+    isDuplicateMessage(dockedAt('Station E'), receivedAt)
+    // Seeing C again makes D the least recently seen
+    assert.equal(isDuplicateMessage(dockedAt('Station C'), receivedAt), true)
+    isDuplicateMessage(dockedAt('Station F'), receivedAt)
+
+    assert.equal(getDedupCacheSize(), 3)
+    assert.equal(isDuplicateMessage(dockedAt('Station C'), receivedAt), true)
+    assert.equal(isDuplicateMessage(dockedAt('Station D'), receivedAt), false)
+  })
+})
@@ -0,0 +1,100 @@
+require('./setup')
+process.env.EDDATA_PIPELINE_CONCURRENCY = 4
+process.env.EDDATA_PIPELINE_TIMEOUT_MS = 200
+
+const { describe, it, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const ingestWorkers = require('../../lib/ingest-workers')
+
+// Messages are parsed straight away (or after parseDelay) rather than by the
+// parse workers, so each test message is the payload it is parsed into
+mock.method(ingestWorkers, 'parseMessage', ({ parseDelay = 0, ...payload }) =>
+  new Promise(resolve => setTimeout(() => resolve({ payload, hash: String(payload.id) }), parseDelay)))
+
+const {
+  startMessagePipeline,
+  stopMessagePipeline,
+  takeUnprocessedMessages,
+  addMessage,
+  waitForIdle,
+  getPipelineState
+} = require('../../lib/message-pipeline')
+
+const handled = []
+const writes = new Map()
+startMessagePipeline(payload => {
+  handled.push(payload.id)
+  if (payload.writeDelay === undefined) return
+  return new Promise(resolve => {
+    writes.set(payload.id, resolve)
+    if (Number.isFinite(payload.writeDelay)) setTimeout(resolve, payload.writeDelay)
+  })
+})
+
+function market (id, marketId, options = {}) {
+  return { id, message: { marketId }, ...options }
+}
+
+describe('message pipeline', () => {
+  it('keeps messages about the same market in order, but not others', async () => {
+    handled.length = 0
+    const results = [
+      addMessage(market(1, 100, { parseDelay: 50 })),
+      addMessage(market(2, 200, { writeDelay: Infinity })),
+      addMessage(market(3, 100)),
+      addMessage(market(4, 200))
+    ]
+    // Nothing is handled until 1 has been parsed, as it could have been about
+    // the same market as the others. 4 then waits for 2 to be written but 3
+    // does not.
+    await results[2]
+    assert.deepEqual(handled, [1, 2, 3])
+    writes.get(2)()
+    await Promise.all(results)
+    assert.deepEqual(handled, [1, 2, 3, 4])
+    assert.equal(await waitForIdle(0), true)
+  })
+
+  it('does not hold up other markets while a write is slow', async () => {
+    handled.length = 0
+    const slow = addMessage(market(5, 300, { writeDelay: 150 }))
+    await addMessage(market(6, 400))
+    await addMessage(market(7, 500))
+    assert.deepEqual(handled, [5, 6, 7])
+    await slow
+  })
+
+  it('handles messages without a target as soon as they are parsed', async () => {
+    handled.length = 0
+    const first = addMessage(market(8, 600, { writeDelay: 100 }))
+    await addMessage({ id: 9, message: { event: 'NavRoute' } })
+    assert.deepEqual(handled, [8, 9])
+    await first
+  })
+
+  it('gives up on a stuck write and carries on with the same market', async () => {
+    handled.length = 0
+    const { timedOut } = getPipelineState()
+    await Promise.all([
+      addMessage(market(10, 700, { writeDelay: Infinity })),
+      addMessage(market(11, 700))
+    ])
+    assert.deepEqual(handled, [10, 11])
+    assert.equal(getPipelineState().timedOut, timedOut + 1)
+    writes.get(10)() // Finishing late has no effect
+    assert.equal(await waitForIdle(0), true)
+  })
+
+  it('returns messages not handled when stopped, in the order received', async () => {
+    handled.length = 0
+    const results = [
+      addMessage(market(12, 800, { parseDelay: 50 })),
+      addMessage(market(13, 800)),
+      addMessage(market(14, 900, { parseDelay: 50 }))
+    ]
+    stopMessagePipeline()
+    assert.deepEqual(await Promise.all(results), [false, false, false])
+    assert.deepEqual(takeUnprocessedMessages().map(({ message }) => message.id), [12, 13, 14])
+    assert.deepEqual(handled, [])
+  })
+})
@@ -0,0 +1,63 @@
+const { getPayloadExample } = require('./setup')
+process.env.EDDATA_REJECTED_SAMPLES_PER_SCHEMA = 2
+
+const fs = require('fs')
+const path = require('path')
+const { describe, it, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { getValidationErrors, validatePayload } = require('../../lib/payload-validator')
+const { getCounter } = require('../../lib/message-counters')
+
+const PATH_TO_PAYLOAD_EXAMPLES = path.join(__dirname, '../payload-examples')
+
+const commodity = getPayloadExample('commodity_3.json')
+
+after(() => require('../../lib/db').closeAllDatabaseConnections())
+
+function withMessage (payload, message) {
+  return { ...payload, message: { ...payload.message, ...message } }
+}
+
+describe('getValidationErrors', () => {
+  it('accepts every payload example', () => {
+    const fileNames = fs.readdirSync(PATH_TO_PAYLOAD_EXAMPLES, { recursive: true }).filter(fileName => fileName.endsWith('.json'))
+    assert.ok(fileNames.length > 0)
+    for (const fileName of fileNames) {
+      assert.deepEqual(getValidationErrors(getPayloadExample(fileName)), [], fileName)
+    }
+  })
+
+  it('lists what is wrong with an invalid payload', () => {
+    const { commodities, ...message } = commodity.message
+    const invalid = { ...commodity, message: { ...message, marketId: 'not a number' } }
+    assert.deepEqual(getValidationErrors(invalid), [
+      "/message must have required property 'commodities'",
+      '/message/marketId must be integer'
+    ])
+  })
+
+  it('does not validate payloads for schemas without a bundled JSON Schema', () => {
+    assert.deepEqual(getValidationErrors({ $schemaRef: 'https://eddn.edcd.io/schemas/fcmaterials_journal/1', message: {} }), [])
+  })
+})
+
+describe('validatePayload', () => {
+  it('counts rejected payloads and keeps the most recent samples of each schema', () => {
+    const { total } = getCounter('rejected')
+    const receivedAt = new Date('2026-10-19T12:00:00Z')
+    for (const marketId of ['first', 'second', 'third']) {
+      assert.equal(validatePayload(withMessage(commodity, { marketId }), receivedAt), false)
+    }
+    assert.equal(validatePayload(commodity, receivedAt), true)
+
+    const rejected = getCounter('rejected')
+    assert.equal(rejected.total, total + 3)
+    assert.equal(rejected.software[commodity.header.softwareName], 3)
+
+    const { collectorDb } = require('../../lib/db')
+    const samples = collectorDb.prepare('SELECT * FROM rejected_payloads WHERE schemaRef = ? ORDER BY id').all(commodity.$schemaRef)
+    assert.deepEqual(samples.map(({ payload }) => JSON.parse(payload).message.marketId), ['second', 'third'])
+    assert.deepEqual(JSON.parse(samples[0].errors), ['/message/marketId must be integer'])
+    assert.equal(samples[0].receivedAt, receivedAt.toISOString())
+  })
+})
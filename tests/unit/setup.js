@@ -0,0 +1,16 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+// Required first by each test file, so that the databases the modules under
+// test open are in a temporary data directory rather than the real one
+process.env.EDDATA_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'eddata-test-'))
+process.on('exit', () => fs.rmSync(process.env.EDDATA_DATA_DIR, { recursive: true, force: true }))
+
+function getPayloadExample (fileName) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, '../payload-examples', fileName)))
+}
+
+module.exports = {
+  getPayloadExample
+}
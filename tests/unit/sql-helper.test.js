@@ -0,0 +1,67 @@
+require('./setup')
+const path = require('path')
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const SqliteDatabase = require('better-sqlite3')
+const { upsert, update, startCountingWrites, getWriteCounts } = require('../../lib/sql-helper')
+
+let db = null
+
+before(() => {
+  db = new SqliteDatabase(path.join(process.env.EDDATA_DATA_DIR, 'sql-helper.db'))
+  db.exec(`
+    CREATE TABLE stations (
+      marketId INT PRIMARY KEY,
+      stationName TEXT,
+      stationType TEXT,
+      updatedAt TEXT
+    )
+  `)
+})
+
+after(() => db.close())
+
+function getStation (marketId) {
+  return db.prepare('SELECT * FROM stations WHERE marketId = ?').get(marketId)
+}
+
+describe('upsert', () => {
+  it('only updates the columns given, leaving the rest of the row as it was', () => {
+    upsert(db, 'stations', { marketId: 1, stationName: 'Jameson Memorial', stationType: 'Orbis', updatedAt: '2026-10-01T00:00:00.000Z' }, ['marketId'])
+    upsert(db, 'stations', { marketId: 1, stationName: 'Jameson Memorial', updatedAt: '2026-10-02T00:00:00.000Z' }, ['marketId'])
+    assert.deepEqual(getStation(1), { marketId: 1, stationName: 'Jameson Memorial', stationType: 'Orbis', updatedAt: '2026-10-02T00:00:00.000Z' })
+  })
+
+  it('ignores properties that are undefined', () => {
+    upsert(db, 'stations', { marketId: 2, stationName: 'Ray Gateway', stationType: 'Coriolis' }, ['marketId'])
+    upsert(db, 'stations', { marketId: 2, stationName: 'Ray Gateway', stationType: undefined }, ['marketId'])
+    assert.equal(getStation(2).stationType, 'Coriolis')
+  })
+
+  it('with onlyIfNewer, does not overwrite a row with older data', () => {
+    const options = { onlyIfNewer: 'updatedAt' }
+    upsert(db, 'stations', { marketId: 3, stationName: 'New Name', updatedAt: '2026-10-02T00:00:00.000Z' }, ['marketId'], options)
+
+    const older = upsert(db, 'stations', { marketId: 3, stationName: 'Old Name', updatedAt: '2026-10-01T00:00:00.000Z' }, ['marketId'], options)
+    assert.equal(older.changes, 0)
+    assert.equal(getStation(3).stationName, 'New Name')
+
+    const sameTime = upsert(db, 'stations', { marketId: 3, stationName: 'Same Time', updatedAt: '2026-10-02T00:00:00.000Z' }, ['marketId'], options)
+    assert.equal(sameTime.changes, 1)
+    assert.equal(getStation(3).stationName, 'Same Time')
+  })
+})
+
+describe('getWriteCounts', () => {
+  it('counts rows inserted and updated by table once counting has started', () => {
+    upsert(db, 'stations', { marketId: 10, stationName: 'Not Counted', updatedAt: '2026-10-01T00:00:00.000Z' }, ['marketId'])
+    assert.equal(getWriteCounts().stations, undefined)
+
+    startCountingWrites()
+    upsert(db, 'stations', { marketId: 11, stationName: 'Inserted' }, ['marketId'])
+    upsert(db, 'stations', { marketId: 10, stationName: 'Updated' }, ['marketId'])
+    upsert(db, 'stations', { marketId: 10, stationName: 'Stale', updatedAt: '2000-01-01T00:00:00.000Z' }, ['marketId'], { onlyIfNewer: 'updatedAt' })
+    update(db, 'stations', { stationType: 'Outpost' }, 'marketId IN (10, 11)')
+    assert.deepEqual(getWriteCounts().stations, { inserted: 1, updated: 3 })
+  })
+})
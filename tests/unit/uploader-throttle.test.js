@@ -0,0 +1,88 @@
+const { getPayloadExample } = require('./setup')
+const { describe, it, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { getTarget, isUploaderThrottled, closeUploaderThrottle } = require('../../lib/uploader-throttle')
+
+const scan = getPayloadExample('journal_1/scan.json')
+const saaSignalsFound = getPayloadExample('journal_1/saasignalsfound.json')
+const fssDiscoveryScan = getPayloadExample('fssdiscoveryscan_1.json')
+const navRoute = getPayloadExample('navroute_1.json')
+const commodity = getPayloadExample('commodity_3.json')
+const outfitting = getPayloadExample('outfitting_2.json')
+const shipyard = getPayloadExample('shipyard_2.json')
+
+function fromUploader (payload, uploaderID, message = {}) {
+  return { ...payload, header: { ...payload.header, uploaderID }, message: { ...payload.message, ...message } }
+}
+
+after(() => closeUploaderThrottle())
+
+describe('getTarget', () => {
+  it('keys market data by market and schema', () => {
+    assert.equal(getTarget(commodity), 'market:3224595968/commodity')
+    assert.equal(getTarget(outfitting), 'market:3228342528/outfitting')
+    assert.equal(getTarget(shipyard), 'market:3228342528/shipyard')
+  })
+
+  it('keys journal events by event and body, or system', () => {
+    assert.equal(getTarget(scan), 'body:2869708727713:4/Scan')
+    assert.equal(getTarget(fssDiscoveryScan), 'system:6406178640602/FSSDiscoveryScan')
+  })
+
+  it('has no target for messages not about a market or system', () => {
+    assert.equal(getTarget(navRoute), null)
+  })
+})
+
+describe('isUploaderThrottled', () => {
+  it('does not throttle an explorer scanning every body in a system', () => {
+    // Honk, then scan 60 bodies (a third of them twice, as the detailed
+    // surface scan sends another Scan) and map 20 of them, within a minute
+    const receivedAt = new Date('2026-10-19T12:00:00Z')
+    const uploaderID = 'explorer'
+    const system = { StarSystem: scan.message.StarSystem, SystemAddress: scan.message.SystemAddress }
+    const burst = [fromUploader(fssDiscoveryScan, uploaderID, system)]
+    for (let bodyId = 1; bodyId <= 60; bodyId++) {
+      burst.push(fromUploader(scan, uploaderID, { ...system, BodyID: bodyId }))
+    }
+    for (let bodyId = 1; bodyId <= 20; bodyId++) {
+      burst.push(fromUploader(scan, uploaderID, { ...system, BodyID: bodyId }))
+      burst.push(fromUploader(saaSignalsFound, uploaderID, { ...system, BodyID: bodyId }))
+    }
+
+    const throttled = burst.filter((payload, i) => isUploaderThrottled(payload, new Date(receivedAt.getTime() + i * 500)))
+    assert.equal(throttled.length, 0)
+  })
+
+  it('does not throttle messages with no target', () => {
+    const receivedAt = new Date('2026-10-19T12:00:00Z')
+    for (let i = 0; i < 50; i++) {
+      assert.equal(isUploaderThrottled(fromUploader(navRoute, 'navigator'), receivedAt), false)
+    }
+  })
+
+  it('throttles repeated messages about the same market until the window ends', () => {
+    const receivedAt = new Date('2026-10-19T12:00:00Z')
+    const payload = fromUploader(commodity, 'repeater')
+    const results = Array.from({ length: 12 }, () => isUploaderThrottled(payload, receivedAt))
+    assert.deepEqual(results, [...Array(10).fill(false), true, true])
+    assert.equal(isUploaderThrottled(payload, new Date(receivedAt.getTime() + 61 * 1000)), false)
+  })
+
+  it('counts each schema about a market separately', () => {
+    const receivedAt = new Date('2026-10-19T12:00:00Z')
+    const messages = [outfitting, shipyard].map(payload => fromUploader(payload, 'docker'))
+    for (let i = 0; i < 10; i++) {
+      assert.deepEqual(messages.map(payload => isUploaderThrottled(payload, receivedAt)), [false, false])
+    }
+    assert.deepEqual(messages.map(payload => isUploaderThrottled(payload, receivedAt)), [true, true])
+  })
+
+  it('quarantines an uploader throttled too often, for all messages', () => {
+    const receivedAt = new Date('2026-10-19T12:00:00Z')
+    const payload = fromUploader(commodity, 'spammer')
+    for (let i = 0; i < 110; i++) isUploaderThrottled(payload, receivedAt)
+    assert.equal(isUploaderThrottled(fromUploader(scan, 'spammer'), receivedAt), true)
+    assert.equal(isUploaderThrottled(fromUploader(navRoute, 'spammer'), receivedAt), true)
+  })
+})
@@ -0,0 +1,64 @@
+require('./setup')
+process.env.EDDATA_WRITE_BATCH_WINDOW_MS = 50
+process.env.EDDATA_WRITE_BATCH_MAX_MESSAGES = 3
+
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const SqliteDatabase = require('better-sqlite3')
+const { systemsDb, closeAllDatabaseConnections } = require('../../lib/db')
+const { runInWriteBatch, flushWriteBatch } = require('../../lib/write-batcher')
+
+// A second connection only sees writes once they have been committed
+let otherConnection = null
+
+before(() => {
+  systemsDb.exec('CREATE TABLE batched_writes (id INT PRIMARY KEY)')
+  otherConnection = new SqliteDatabase(systemsDb.name, { readonly: true })
+})
+
+after(() => {
+  otherConnection.close()
+  closeAllDatabaseConnections()
+})
+
+function insert (id) {
+  systemsDb.prepare('INSERT INTO batched_writes (id) VALUES (?)').run(id)
+}
+
+function isCommitted (id) {
+  return otherConnection.prepare('SELECT id FROM batched_writes WHERE id = ?').get(id) !== undefined
+}
+
+describe('runInWriteBatch', () => {
+  it('only calls back once the batch has been committed', async () => {
+    const committed = []
+    runInWriteBatch(() => insert(1), error => committed.push(error))
+    assert.deepEqual(committed, [])
+    assert.equal(isCommitted(1), false)
+
+    await new Promise(resolve => setTimeout(resolve, 100))
+    assert.deepEqual(committed, [null])
+    assert.equal(isCommitted(1), true)
+  })
+
+  it('commits once the batch is full', () => {
+    const committed = []
+    for (const id of [2, 3, 4]) runInWriteBatch(() => insert(id), () => committed.push(id))
+    assert.deepEqual(committed, [2, 3, 4])
+    assert.equal(isCommitted(4), true)
+  })
+
+  it('does not keep the writes or call back for a function that throws', () => {
+    const committed = []
+    assert.throws(() => runInWriteBatch(() => {
+      insert(5)
+      throw new Error('Handler failed')
+    }, () => committed.push(5)), /Handler failed/)
+    runInWriteBatch(() => insert(6), () => committed.push(6))
+    flushWriteBatch()
+
+    assert.deepEqual(committed, [6])
+    assert.equal(isCommitted(5), false)
+    assert.equal(isCommitted(6), true)
+  })
+})